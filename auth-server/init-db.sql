@@ -14,12 +14,16 @@ CREATE TABLE IF NOT EXISTS users (
     -- Additional user metadata
     full_name VARCHAR(255),
     company VARCHAR(255),
+    tenant_id VARCHAR(100), -- assigned by an administrator, not editable by the user
     api_key VARCHAR(255) UNIQUE,
     max_requests_per_day INTEGER DEFAULT 1000,
     current_requests_today INTEGER DEFAULT 0,
     last_request_reset TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Databases created before tenant_id existed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+
 -- Create refresh tokens table
 CREATE TABLE IF NOT EXISTS refresh_tokens (
     id SERIAL PRIMARY KEY,
@@ -30,7 +30,7 @@ class User {
           max_requests_per_day, company, full_name
         )
         VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING id, email, username, license_type, created_at, is_active, max_requests_per_day
+        RETURNING id, email, username, license_type, tenant_id, created_at, is_active, max_requests_per_day
       `;
       
       const userResult = await client.query(userQuery, [
@@ -55,7 +55,7 @@ class User {
     const query = `
       SELECT id, email, username, license_type, license_expiry,
              created_at, updated_at, is_active, last_login,
-             full_name, company, max_requests_per_day, current_requests_today
+             full_name, company, tenant_id, max_requests_per_day, current_requests_today
       FROM users
       WHERE id = $1
     `;
@@ -68,7 +68,7 @@ class User {
     const query = `
       SELECT id, email, username, password_hash, license_type, license_expiry,
              created_at, updated_at, is_active, last_login,
-             full_name, company, api_key, max_requests_per_day, current_requests_today
+             full_name, company, tenant_id, api_key, max_requests_per_day, current_requests_today
       FROM users
       WHERE email = $1
     `;
@@ -81,7 +81,7 @@ class User {
     const query = `
       SELECT id, email, username, password_hash, license_type, license_expiry,
              created_at, updated_at, is_active, last_login,
-             full_name, company, api_key, max_requests_per_day, current_requests_today
+             full_name, company, tenant_id, api_key, max_requests_per_day, current_requests_today
       FROM users
       WHERE username = $1
     `;
@@ -92,7 +92,7 @@ class User {
   
   static async findByApiKey(apiKey) {
     const query = `
-      SELECT id, email, username, license_type, license_expiry,
+      SELECT id, email, username, license_type, license_expiry, tenant_id,
              is_active, max_requests_per_day, current_requests_today
       FROM users
       WHERE api_key = $1
@@ -361,6 +361,7 @@ router.post('/validate', async (req, res) => {
         username: user.username,
         licenseType: user.license_type,
         licenseExpiry: user.license_expiry,
+        tenantId: user.tenant_id,
         requestsToday: user.current_requests_today,
         maxRequests: user.max_requests_per_day
       }
@@ -433,6 +434,7 @@ router.post('/validate-api-key', async (req, res) => {
         id: user.id,
         email: user.email,
         licenseType: user.license_type,
+        tenantId: user.tenant_id,
         requestsToday: user.current_requests_today + 1,
         maxRequests: user.max_requests_per_day
       }
@@ -10,6 +10,7 @@ export const generateAccessToken = (user) => {
     licenseType: user.license_type,
     licenseExpiry: user.license_expiry,
     maxRequestsPerDay: user.max_requests_per_day,
+    tenantId: user.tenant_id ?? null,
     type: 'access'
   };
   
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import path from 'path';
+import AuthManager, { TOKEN_CACHE_FILE } from './authManager.js';
+
+// Ways of picking the upstream account for a request
+export const ACCOUNT_STRATEGIES = ['round-robin', 'least-loaded', 'sticky'];
+
+// Token cache file of a pool account; the primary account keeps the original file name
+function tokenCacheFileFor(id) {
+  if (id === 'primary') {
+    return TOKEN_CACHE_FILE;
+  }
+  const { dir, name, ext } = path.parse(TOKEN_CACHE_FILE);
+  return path.join(dir, `${name}.${id.replace(/[^a-zA-Z0-9_-]/g, '_')}${ext}`);
+}
+
+/**
+ * Pool of upstream AllData accounts, each with its own AuthManager (token
+ * lifecycle and token cache file). Requests lease an account picked by the
+ * configured strategy:
+ *
+ * - round-robin: accounts in turn
+ * - least-loaded: the account with the fewest requests in flight
+ * - sticky: the same account for a user for as long as it is available
+ *   (rendezvous hashing, so losing an account only moves its own users)
+ *
+ * An account whose login fails, or whose requests are answered with 429, is
+ * taken out of rotation for the cooldown period (or upstream's Retry-After).
+ * When every account is cooling down the one that recovers first is used.
+ * Each account's token is refreshed in the background before it expires
+ * (options.refreshMargin / refreshRetries, see AuthManager); options.cipher
+ * encrypts the token cache files.
+ * options.isUnreachable(error) tells a failed login apart from an auth API
+ * that cannot be reached, which no other account would get past either.
+ */
+class AccountPool {
+  constructor(accounts, options = {}) {
+    this.strategy = options.strategy || 'round-robin';
+    this.cooldown = (options.cooldown ?? 300) * 1000;
+    this.isUnreachable = options.isUnreachable || (() => false);
+    this.cursor = 0;
+    this.accounts = accounts.map(({ id, email, password }) => ({
+      id,
+      email,
+      manager: new AuthManager(email, password, {
+        tokenCacheFile: tokenCacheFileFor(id),
+        cipher: options.cipher,
+        autoRefresh: options.autoRefresh ?? true,
+        refreshMargin: options.refreshMargin,
+        refreshRetries: options.refreshRetries
+      }),
+      inFlight: 0,
+      requests: 0,
+      failures: 0,
+      cooldownUntil: 0,
+      lastError: null
+    }));
+  }
+
+  isAvailable(account, now = Date.now()) {
+    return account.cooldownUntil <= now;
+  }
+
+  // Pick an account for a request; key identifies the user for sticky routing
+  select(key = null, exclude = new Set()) {
+    const candidates = this.accounts.filter(account => !exclude.has(account));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const available = candidates.filter(account => this.isAvailable(account, now));
+    if (available.length === 0) {
+      return candidates.reduce((soonest, account) => (account.cooldownUntil < soonest.cooldownUntil ? account : soonest));
+    }
+
+    switch (this.strategy) {
+    case 'least-loaded':
+      return available.reduce((best, account) =>
+        (account.inFlight < best.inFlight || (account.inFlight === best.inFlight && account.requests < best.requests) ? account : best));
+    case 'sticky':
+      if (key !== null && key !== undefined) {
+        const weight = (account) => crypto.createHash('md5').update(`${key}:${account.id}`).digest().readUInt32BE(0);
+        return available.reduce((best, account) => (weight(account) > weight(best) ? account : best));
+      }
+      return this.nextInTurn(available);
+    default:
+      return this.nextInTurn(available);
+    }
+  }
+
+  // Round-robin over the whole pool, skipping accounts that are not available
+  nextInTurn(available) {
+    for (let i = 0; i < this.accounts.length; i++) {
+      const index = (this.cursor + i) % this.accounts.length;
+      if (available.includes(this.accounts[index])) {
+        this.cursor = index + 1;
+        return this.accounts[index];
+      }
+    }
+    return available[0];
+  }
+
+  // Lease an account with a valid access token. Accounts that cannot log in are
+  // put in cooldown and the next one is tried; an unreachable auth API fails
+  // straight away since no other account would fare better. Call release() with
+  // the upstream status once the request is done.
+  async acquire(key = null) {
+    const tried = new Set();
+    let lastError = null;
+
+    for (let account = this.select(key, tried); account; account = this.select(key, tried)) {
+      tried.add(account);
+      try {
+        const accessToken = await account.manager.getValidToken();
+        account.inFlight++;
+        account.requests++;
+
+        let released = false;
+        return {
+          accountId: account.id,
+          accessToken,
+          release: (status = null, retryAfter = null) => {
+            if (released) return;
+            released = true;
+            account.inFlight--;
+            if (status === 429) {
+              this.coolDown(account, 'Rate limited by upstream (429)', retryAfter);
+            }
+          }
+        };
+      } catch (error) {
+        if (this.isUnreachable(error)) {
+          throw error;
+        }
+        this.coolDown(account, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error('No upstream accounts configured');
+  }
+
+  // A valid access token for work not tied to a user request (warm jobs, compares)
+  async getValidToken() {
+    const lease = await this.acquire();
+    lease.release();
+    return lease.accessToken;
+  }
+
+  // Take an account out of rotation; retryAfter (seconds) extends the default cooldown
+  coolDown(account, reason, retryAfter = null) {
+    const seconds = Number(retryAfter);
+    const duration = Math.max(this.cooldown, Number.isFinite(seconds) ? seconds * 1000 : 0);
+
+    account.failures++;
+    account.lastError = reason;
+    account.cooldownUntil = Date.now() + duration;
+    console.warn(`Upstream account ${account.id} out of rotation for ${Math.round(duration / 1000)}s: ${reason}`);
+  }
+
+  getAccount(id) {
+    return id ? this.accounts.find(account => account.id === id) : this.accounts[0];
+  }
+
+  // Refresh one account's token (the first account by default)
+  async refreshToken(id = null) {
+    const account = this.getAccount(id);
+    if (!account) {
+      throw new Error(`Unknown upstream account "${id}"`);
+    }
+    return account.manager.withTokenLock(() => account.manager.refreshToken(), 'refresh');
+  }
+
+  // A new token for the account that issued accessToken, after upstream rejected
+  // it; null when no account owns it
+  async renewRejectedToken(accessToken) {
+    const account = this.accounts.find(candidate => candidate.manager.ownsToken(accessToken));
+    return account ? account.manager.renewRejectedToken(accessToken) : null;
+  }
+
+  async clearCache() {
+    await Promise.all(this.accounts.map(account => account.manager.clearCache()));
+  }
+
+  // Stop the background token refreshes
+  stop() {
+    for (const account of this.accounts) {
+      account.manager.stopRefresh();
+    }
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      strategy: this.strategy,
+      cooldown: this.cooldown / 1000,
+      accounts: this.accounts.map(account => ({
+        id: account.id,
+        email: account.email,
+        available: this.isAvailable(account, now),
+        cooldownUntil: account.cooldownUntil > now ? new Date(account.cooldownUntil).toISOString() : null,
+        inFlight: account.inFlight,
+        requests: account.requests,
+        failures: account.failures,
+        lastError: account.lastError,
+        token: account.manager.getTokenStatus()
+      }))
+    };
+  }
+}
+
+export default AccountPool;
\ No newline at end of file
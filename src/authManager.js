@@ -2,6 +2,9 @@ import axios from 'axios';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import SingleFlight from './utils/singleFlight.js';
+import FileLease from './utils/fileLease.js';
+import TokenCipher from './utils/tokenCipher.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,31 +12,97 @@ const __dirname = path.dirname(__filename);
 const AUTH_URL = 'https://api.partnership.workshopdiag.com/auth/customer/login';
 const REFRESH_URL = 'https://api.partnership.workshopdiag.com/auth/customer/refresh-token';
 const TOKEN_CACHE_FILE = path.join(__dirname, '..', '.alldata_token_cache.json');
+// Salt the token cache encryption keys are derived with, shared by all accounts
+const TOKEN_KEY_SALT_FILE = path.join(__dirname, '..', '.alldata_token_cache.salt');
+
+// Background refresh retries wait 5s, 10s, 20s, ... up to 5 minutes
+const REFRESH_RETRY_DELAY = 5000;
+const REFRESH_RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+// How long a replica may hold the token cache lock before others take it over
+const TOKEN_LOCK_TTL = 30000;
 
 class AuthManager {
-  constructor(email, password) {
+  // options.tokenCacheFile: where the token is kept between restarts
+  // (default .alldata_token_cache.json, null keeps it in memory only)
+  // options.cipher: TokenCipher the cache file is encrypted with (plaintext without one)
+  // options.autoRefresh: refresh refreshMargin seconds before the access token
+  // expires, retrying refreshRetries times before falling back to login()
+  constructor(email, password, options = {}) {
     this.email = email;
     this.password = password;
+    this.tokenCacheFile = options.tokenCacheFile === undefined ? TOKEN_CACHE_FILE : options.tokenCacheFile;
+    this.cipher = options.cipher || new TokenCipher();
+    this.autoRefresh = options.autoRefresh ?? false;
+    this.refreshMargin = (options.refreshMargin ?? 60) * 1000;
+    this.refreshRetries = options.refreshRetries ?? 3;
+    this.refreshTimer = null;
+    this.nextRefreshAt = null;
+    this.lastRefreshAt = null;
+    this.lastRefreshError = null;
+    this.refreshFailures = 0;
+    this.tokenFlights = new SingleFlight();
+    this.tokenFlightKind = null; // 'refresh' when the flight in progress cannot fall back to login
+    this.previousAccessToken = null;
     this.cachedToken = null;
     this.loadCachedToken();
   }
 
   async loadCachedToken() {
+    const token = await this.readCachedToken();
+    // An expired access token is still worth keeping while it can be refreshed
+    if (this.isRefreshTokenValid(token)) {
+      this.cachedToken = token;
+      this.scheduleRefresh();
+    }
+  }
+
+  async readCachedToken() {
+    if (!this.tokenCacheFile) {
+      return null;
+    }
+
+    let stored;
     try {
-      const data = await fs.readFile(TOKEN_CACHE_FILE, 'utf8');
-      const token = JSON.parse(data);
-      if (this.isTokenValid(token)) {
-        this.cachedToken = token;
-      }
+      const data = await fs.readFile(this.tokenCacheFile, 'utf8');
+      stored = JSON.parse(data);
     } catch (error) {
       // Cache file doesn't exist or is invalid
+      return null;
+    }
+
+    if (!TokenCipher.isEncrypted(stored)) {
+      if (this.cipher.enabled) {
+        console.log('Encrypting plaintext token cache', this.tokenCacheFile);
+        await this.saveCachedToken(stored);
+      }
+      return stored;
+    }
+
+    // Without the right key the token is unusable; the next request logs in again
+    // and overwrites the file
+    try {
+      const { value, current } = this.cipher.decrypt(stored);
+      if (!current) {
+        console.log('Re-encrypting token cache with the current key', this.tokenCacheFile);
+        await this.saveCachedToken(value);
+      }
+      return value;
+    } catch (error) {
+      console.warn(`Ignoring token cache ${this.tokenCacheFile}: ${error.message}`);
+      return null;
     }
   }
 
   async saveCachedToken(token) {
+    if (!this.tokenCacheFile) {
+      return;
+    }
+
     try {
-      await fs.writeFile(TOKEN_CACHE_FILE, JSON.stringify(token, null, 2));
-      await fs.chmod(TOKEN_CACHE_FILE, 0o600);
+      const contents = this.cipher.enabled ? this.cipher.encrypt(token) : token;
+      await fs.writeFile(this.tokenCacheFile, JSON.stringify(contents, null, 2), { mode: 0o600 });
+      await fs.chmod(this.tokenCacheFile, 0o600);
     } catch (error) {
       console.error('Failed to save token cache:', error);
     }
@@ -95,12 +164,11 @@ class AuthManager {
         customerData: response.data.data.customer
       };
 
-      this.cachedToken = token;
-      await this.saveCachedToken(token);
+      await this.storeToken(token);
 
       return token.accessToken;
     } catch (error) {
-      throw new Error(`Login failed: ${error.message}`);
+      throw new Error(`Login failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -135,13 +203,158 @@ class AuthManager {
         customerData: response.data.data.customer
       };
 
-      this.cachedToken = token;
-      await this.saveCachedToken(token);
+      await this.storeToken(token);
 
       return token.accessToken;
     } catch (error) {
-      throw new Error(`Token refresh failed: ${error.message}`);
+      throw new Error(`Token refresh failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Keep a new token and schedule its refresh
+  async storeToken(token) {
+    this.previousAccessToken = this.cachedToken?.accessToken ?? this.previousAccessToken;
+    this.cachedToken = token;
+    this.refreshFailures = 0;
+    await this.saveCachedToken(token);
+    this.scheduleRefresh();
+  }
+
+  // Set the background refresh timer: refreshMargin before the access token
+  // expires, or after delay ms when retrying a failed refresh
+  scheduleRefresh(delay = null) {
+    if (!this.autoRefresh) {
+      return;
     }
+
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.nextRefreshAt = null;
+    if (!this.cachedToken) {
+      return;
+    }
+
+    // Never before half the token's lifetime, so a margin longer than the
+    // lifetime does not refresh in a loop
+    const issuedAt = new Date(this.cachedToken.issuedAt).getTime();
+    const refreshAt = Math.max(
+      issuedAt + this.cachedToken.expiresInAccessToken / 2,
+      issuedAt + this.cachedToken.expiresInAccessToken - this.refreshMargin
+    );
+    this.nextRefreshAt = delay !== null ? Date.now() + delay : Math.max(Date.now(), refreshAt);
+    this.refreshTimer = setTimeout(() => this.backgroundRefresh(), this.nextRefreshAt - Date.now());
+    this.refreshTimer.unref();
+  }
+
+  // Scheduled refresh; a full login() only once refreshing has failed
+  // refreshRetries times or the refresh token has run out
+  async backgroundRefresh() {
+    this.refreshTimer = null;
+    this.nextRefreshAt = null;
+
+    if (this.isRefreshTokenValid(this.cachedToken)) {
+      try {
+        await this.withTokenLock(() => this.refreshToken(), 'refresh');
+        this.lastRefreshAt = new Date().toISOString();
+        this.lastRefreshError = null;
+        return;
+      } catch (error) {
+        this.refreshFailures++;
+        this.lastRefreshError = error.message;
+
+        if (this.refreshFailures <= this.refreshRetries) {
+          const delay = Math.min(REFRESH_RETRY_DELAY * 2 ** (this.refreshFailures - 1), REFRESH_RETRY_MAX_DELAY);
+          console.warn(`Background token refresh failed (attempt ${this.refreshFailures}), retrying in ${delay / 1000}s:`, error.message);
+          this.scheduleRefresh(delay);
+          return;
+        }
+        console.warn('Background token refresh failed, falling back to login:', error.message);
+      }
+    }
+
+    try {
+      await this.withTokenLock(() => this.login(), 'login');
+      this.lastRefreshAt = new Date().toISOString();
+      this.lastRefreshError = null;
+    } catch (error) {
+      // The next request retries through getValidToken()
+      this.lastRefreshError = error.message;
+      console.error('Background login failed:', error.message);
+    }
+  }
+
+  stopRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.nextRefreshAt = null;
+  }
+
+  // Token lifetimes and background refresh state, for the health endpoint
+  getTokenStatus() {
+    const token = this.cachedToken;
+    const issuedAt = token ? new Date(token.issuedAt).getTime() : null;
+
+    let state = 'none';
+    if (this.isTokenValid(token)) {
+      state = 'valid';
+    } else if (this.isRefreshTokenValid(token)) {
+      state = 'expired';
+    } else if (token) {
+      state = 'refresh-expired';
+    }
+
+    return {
+      state,
+      issuedAt: token ? token.issuedAt : null,
+      accessTokenExpiresAt: token ? new Date(issuedAt + token.expiresInAccessToken).toISOString() : null,
+      refreshTokenExpiresAt: token ? new Date(issuedAt + token.expiresInRefreshToken).toISOString() : null,
+      autoRefresh: this.autoRefresh,
+      nextRefreshAt: this.nextRefreshAt ? new Date(this.nextRefreshAt).toISOString() : null,
+      lastRefreshAt: this.lastRefreshAt,
+      lastRefreshError: this.lastRefreshError,
+      refreshFailures: this.refreshFailures
+    };
+  }
+
+  // Run a refresh or login so that only one runs at a time: concurrent callers
+  // in this process share the call in flight, and replicas sharing the token
+  // cache file take turns on a lock file next to it. A replica that waited for
+  // the lock uses the token another one just stored instead of renewing again.
+  // kind 'refresh' marks a refresh-only call, which getValidToken() callers that
+  // join it do not settle for if it fails.
+  async withTokenLock(renew, kind = 'renew') {
+    if (!this.tokenFlights.has('token')) {
+      this.tokenFlightKind = kind;
+    }
+
+    const { value } = await this.tokenFlights.do('token', async () => {
+      if (!this.tokenCacheFile) {
+        return renew();
+      }
+
+      const lease = new FileLease(`${this.tokenCacheFile}.lock`, { ttl: TOKEN_LOCK_TTL });
+      const acquired = await lease.acquire();
+      if (!acquired) {
+        console.warn(`Token cache lock still held after ${TOKEN_LOCK_TTL / 1000}s, renewing without it`);
+      }
+
+      try {
+        const stored = await this.readCachedToken();
+        if (this.isTokenValid(stored) && stored.accessToken !== this.cachedToken?.accessToken) {
+          console.log('Using token renewed by another process');
+          this.previousAccessToken = this.cachedToken?.accessToken ?? this.previousAccessToken;
+          this.cachedToken = stored;
+          this.refreshFailures = 0;
+          this.scheduleRefresh();
+          return stored.accessToken;
+        }
+
+        return await renew();
+      } finally {
+        await lease.release();
+      }
+    });
+    return value;
   }
 
   async getValidToken() {
@@ -153,29 +366,65 @@ class AuthManager {
       return this.cachedToken.accessToken;
     }
 
-    // Try to refresh if we have a valid refresh token
-    if (this.cachedToken && this.isRefreshTokenValid(this.cachedToken)) {
-      try {
-        console.log('Attempting to refresh token');
-        return await this.refreshToken();
-      } catch (error) {
-        console.warn('Token refresh failed, falling back to login:', error.message);
+    const renew = async () => {
+      // Try to refresh if we have a valid refresh token
+      if (this.cachedToken && this.isRefreshTokenValid(this.cachedToken)) {
+        try {
+          console.log('Attempting to refresh token');
+          return await this.refreshToken();
+        } catch (error) {
+          console.warn('Token refresh failed, falling back to login:', error.message);
+        }
+      }
+
+      // Fall back to login
+      console.log('No valid token, attempting login with:', this.email ? 'email provided' : 'no email');
+      return await this.login();
+    };
+
+    // A refresh-only call already in flight (background or forced refresh) is
+    // joined, but if it fails the callers go on to log in, sharing one login
+    const joinedRefresh = this.tokenFlights.has('token') && this.tokenFlightKind === 'refresh';
+    try {
+      return await this.withTokenLock(renew);
+    } catch (error) {
+      if (!joinedRefresh) {
+        throw error;
       }
+      console.warn('Token refresh in progress failed, falling back to login:', error.message);
+      return this.withTokenLock(() => this.login(), 'login');
     }
+  }
 
-    // Fall back to login
-    console.log('No valid token, attempting login with:', this.email ? 'email provided' : 'no email');
-    return await this.login();
+  // Whether accessToken is this account's token or the one it just replaced
+  ownsToken(accessToken) {
+    return !!accessToken && (accessToken === this.cachedToken?.accessToken || accessToken === this.previousAccessToken);
+  }
+
+  // Upstream rejected accessToken before it expired: drop it and return a new
+  // token, or the one that already replaced it
+  async renewRejectedToken(accessToken) {
+    if (accessToken === this.cachedToken?.accessToken) {
+      await this.clearCache();
+    }
+    return this.getValidToken();
   }
 
   async clearCache() {
+    this.previousAccessToken = this.cachedToken?.accessToken ?? this.previousAccessToken;
     this.cachedToken = null;
+    this.stopRefresh();
+    if (!this.tokenCacheFile) {
+      return;
+    }
+
     try {
-      await fs.unlink(TOKEN_CACHE_FILE);
+      await fs.unlink(this.tokenCacheFile);
     } catch (error) {
       // File might not exist
     }
   }
 }
 
+export { TOKEN_CACHE_FILE, TOKEN_KEY_SALT_FILE };
 export default AuthManager;
\ No newline at end of file
@@ -2,22 +2,145 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { EventEmitter, once } from 'events';
 import sqlite3 from 'sqlite3';
 import { promisify } from 'util';
+import zlib from 'zlib';
+import readline from 'readline';
+import { CachePolicy, globToRegExp } from './utils/cachePolicy.js';
+import { Migrator } from './migrations/index.js';
+import LRUCache from './utils/lruCache.js';
+import FileStorage from './storage/fileStorage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class CacheManager {
-  constructor(cacheDir = path.join(__dirname, '..', 'cache')) {
+// On-disk payload codecs. Rows without a codec hold the original pretty-printed
+// wrapper ({ url, ..., data }); every other codec stores only the JSON payload.
+const CODECS = {
+  identity: {
+    encode: async (buffer) => buffer,
+    decode: async (buffer) => buffer
+  },
+  gzip: {
+    encode: promisify(zlib.gzip),
+    decode: promisify(zlib.gunzip)
+  },
+  br: {
+    encode: promisify(zlib.brotliCompress),
+    decode: promisify(zlib.brotliDecompress)
+  }
+};
+
+// Export bundles: gzip-compressed NDJSON with a header line, one line per entry
+// (index row + base64 payload + sha256 of the payload) and a trailer line
+const BUNDLE_FORMAT = 'alldata-cache-bundle';
+const BUNDLE_VERSION = 1;
+
+// cache_index columns carried in a bundle; ids and storage locations are site-specific
+const BUNDLE_COLUMNS = ['cache_key', 'url', 'normalized_url', 'method', 'body', 'vary', 'size',
+  'created_at', 'accessed_at', 'access_count', 'expires_at', 'stale_until', 'codec', 'etag', 'last_modified',
+  'cache_control', 'status', 'headers', 'raw', 'tenant'];
+
+// Validators and Cache-Control of an upstream response, kept with the entry
+function upstreamHeaders(headers = {}) {
+  return {
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    cacheControl: headers['cache-control'] || null
+  };
+}
+
+// Upstream statuses kept as negative entries when a negative TTL is set
+const NEGATIVE_STATUSES = [404, 410];
+
+// Upstream response headers stored with an entry and replayed on hits
+const REPLAYED_HEADERS = ['content-type', 'content-disposition', 'content-language'];
+
+function replayedHeaders(headers = {}) {
+  const kept = Object.fromEntries(REPLAYED_HEADERS.filter(name => headers[name]).map(name => [name, String(headers[name])]));
+  return Object.keys(kept).length > 0 ? kept : null;
+}
+
+// Content types whose raw bodies are shown as text by the inspection API
+const TEXT_CONTENT_TYPE = /^text\/|[/+](xml|html|javascript|json)\b/;
+
+// SQLite CURRENT_TIMESTAMP values ("YYYY-MM-DD HH:MM:SS", UTC) as epoch ms
+const parseTimestamp = (value) => (value ? Date.parse(`${value.replace(' ', 'T')}Z`) : null);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Sort keys accepted by listEntries(), mapped to cache_index columns
+const ENTRY_SORT_COLUMNS = {
+  accessed: 'accessed_at',
+  created: 'created_at',
+  size: 'size',
+  accessCount: 'access_count',
+  url: 'normalized_url'
+};
+
+// Entries listed by name in a purge result
+const PURGE_SAMPLE_SIZE = 20;
+
+// Problems listed individually in a verify result
+const VERIFY_DETAIL_LIMIT = 100;
+
+// Let other work run between cleanup batches
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const emptyMetrics = () => ({
+  hits: 0, stale: 0, misses: 0, saves: 0, evictions: 0, upstreamRequests: 0, upstreamTime: 0, upstreamMax: 0
+});
+
+// Metrics counters with the hit ratio and average upstream latency worked out;
+// stale serves count as hits
+function summarizeMetrics({ upstreamTime, ...counters }) {
+  const served = counters.hits + counters.stale;
+  const lookups = served + counters.misses;
+  return {
+    ...counters,
+    hitRatio: lookups ? Math.round(served / lookups * 10000) / 10000 : null,
+    upstreamAvg: counters.upstreamRequests ? Math.round(upstreamTime / counters.upstreamRequests) : null
+  };
+}
+
+// Keeps the cache index in SQLite and reads/writes payloads through a storage
+// adapter (see src/storage). Emits 'save' ({ cacheKey, size }) after each
+// entry is written to the index.
+class CacheManager extends EventEmitter {
+  constructor(cacheDir = path.join(__dirname, '..', 'cache'), options = {}) {
+    super();
     this.cacheDir = cacheDir;
     this.dbPath = path.join(cacheDir, 'cache-index.db');
+    this.ttl = options.ttl ?? 3600; // seconds until an entry turns stale
+    this.staleTtl = options.staleTtl ?? 86400; // seconds a stale entry may still be served
+    this.negativeTtl = options.negativeTtl ?? 0; // seconds a 404/410 is cached, 0 disables negative caching
+    this.autoMigrate = options.autoMigrate ?? true; // apply pending schema migrations at startup
+    this.migrationBackup = options.migrationBackup ?? true; // copy the database before migrating it
+    this.policy = this.createPolicy(options.policy);
+    this.memory = new LRUCache(options.memoryMaxSize ?? 0); // hot tier in front of SQLite/files
+    this.codec = CODECS[options.compression] ? options.compression : 'identity';
+    this.storage = options.storage || new FileStorage(cacheDir);
+    this.ruleStats = new Map();
+    this.tenantStats = new Map();
     this.db = null;
     this.dbRun = null;
     this.dbGet = null;
     this.dbAll = null;
+    this.initPromise = null;
     this.ensureCacheDirectory();
-    this.initializeDatabase();
+    // Errors are logged here and rethrown to callers awaiting initializeDatabase()
+    this.initializeDatabase().catch(() => {});
+  }
+
+  // Invalid policies are reported by validateConfig(); fall back to caching everything
+  createPolicy(policy = {}) {
+    try {
+      return new CachePolicy(policy);
+    } catch (error) {
+      console.error('Invalid cache policy, using defaults:', error.message);
+      return new CachePolicy();
+    }
   }
 
   ensureCacheDirectory() {
@@ -27,7 +150,11 @@ class CacheManager {
   }
 
   async initializeDatabase() {
-    return new Promise((resolve, reject) => {
+    if (this.initPromise) {
+      return this.initPromise;
+    }
+
+    this.initPromise = new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(this.dbPath, (err) => {
         if (err) {
           console.error('Error opening database:', err);
@@ -40,40 +167,76 @@ class CacheManager {
         this.dbGet = promisify(this.db.get.bind(this.db));
         this.dbAll = promisify(this.db.all.bind(this.db));
 
-        // Create cache index table with proper indexes
-        const createTableSQL = `
-          CREATE TABLE IF NOT EXISTS cache_index (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            url TEXT NOT NULL,
-            normalized_url TEXT NOT NULL,
-            method TEXT NOT NULL,
-            body TEXT,
-            file_path TEXT NOT NULL,
-            size INTEGER NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            accessed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            access_count INTEGER DEFAULT 1,
-            UNIQUE(normalized_url, method, body)
-          );
-          
-          CREATE INDEX IF NOT EXISTS idx_normalized_url ON cache_index(normalized_url);
-          CREATE INDEX IF NOT EXISTS idx_method ON cache_index(method);
-          CREATE INDEX IF NOT EXISTS idx_created_at ON cache_index(created_at);
-          CREATE INDEX IF NOT EXISTS idx_accessed_at ON cache_index(accessed_at);
-          CREATE INDEX IF NOT EXISTS idx_size ON cache_index(size);
-        `;
-
-        this.db.exec(createTableSQL, (err) => {
-          if (err) {
-            console.error('Error creating table:', err);
-            reject(err);
-          } else {
+        this.migrateSchema()
+          .then(() => this.storage.init())
+          .then(() => {
             console.log('Cache database initialized');
             resolve();
-          }
-        });
+          })
+          .catch((error) => {
+            console.error('Error migrating cache schema:', error);
+            reject(error);
+          });
       });
     });
+
+    return this.initPromise;
+  }
+
+  // Bring cache-index.db to the latest schema version. With autoMigrate off,
+  // startup fails instead while migrations are pending.
+  async migrateSchema() {
+    const migrator = this.getMigrator();
+
+    if (this.autoMigrate) {
+      await migrator.migrate();
+      return;
+    }
+
+    const { pending } = await migrator.status();
+    if (pending.length > 0) {
+      throw new Error(`cache-index.db has ${pending.length} pending migration(s); run: npm run cache -- migrate`);
+    }
+  }
+
+  // Migration runner on this manager's database connection
+  getMigrator() {
+    return new Migrator({ run: this.dbRun, get: this.dbGet, all: this.dbAll }, {
+      dbPath: this.dbPath,
+      backup: this.migrationBackup,
+      context: { ttl: this.ttl, staleTtl: this.staleTtl }
+    });
+  }
+
+  // Compute soft and hard expiry timestamps (ms) for an entry saved now
+  getExpiry(ttl = this.ttl, staleTtl = this.staleTtl) {
+    const now = Date.now();
+    return {
+      expiresAt: now + ttl * 1000,
+      staleUntil: now + (ttl + staleTtl) * 1000
+    };
+  }
+
+  isNegativeStatus(status) {
+    return NEGATIVE_STATUSES.includes(status);
+  }
+
+  // Seconds an entry with this upstream status stays fresh under a rule
+  getEntryTtl(rule, status = 200) {
+    if (this.isNegativeStatus(status)) {
+      return rule.negativeTtl ?? this.negativeTtl;
+    }
+    return rule.ttl ?? this.ttl;
+  }
+
+  // Expiry for an entry; negative entries are never served stale
+  getEntryExpiry(rule, status = 200, ttl = null) {
+    return this.getExpiry(ttl ?? this.getEntryTtl(rule, status), this.isNegativeStatus(status) ? 0 : this.staleTtl);
+  }
+
+  // Whether a response with this upstream status may be saved under a rule
+  isCacheableStatus(rule, status = 200) {
+    return status === 200 || (this.isNegativeStatus(status) && this.getEntryTtl(rule, status) > 0);
   }
 
   // Normalize URL by removing timestamp parameters and query params
@@ -100,26 +263,80 @@ class CacheManager {
     }
   }
 
-  // Generate hierarchical path from URL
-  getHierarchicalPath(url) {
-    const normalizedUrl = this.normalizeUrl(url);
-    const urlParts = normalizedUrl.split('/').filter(part => part);
-    
-    // Create a directory structure based on URL path
-    const dirParts = urlParts.slice(0, -1);
-    const fileName = urlParts.slice(-1)[0] || 'index';
-    
-    // Clean filename for filesystem
-    const cleanFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
-    
-    return {
-      dirPath: dirParts.join(path.sep),
-      fileName: cleanFileName
-    };
+  // Find the cache policy rule that applies to a URL
+  getRule(url) {
+    return this.policy.match(this.normalizeUrl(url));
+  }
+
+  // Cache key partition for a request under a rule (see CachePolicy.getVary)
+  getVary(rule, req) {
+    return this.policy.getVary(rule, req);
+  }
+
+  // Count a cache event (hits, stale, negative, misses, coalesced, bypassed, rejected, revalidated) against a policy rule
+  recordRuleEvent(rule, event) {
+    const name = typeof rule === 'string' ? rule : rule.name;
+    if (!this.ruleStats.has(name)) {
+      this.ruleStats.set(name, {
+        hits: 0, stale: 0, negative: 0, misses: 0, coalesced: 0, bypassed: 0, rejected: 0, revalidated: 0
+      });
+    }
+    this.ruleStats.get(name)[event]++;
+  }
+
+  // Count a cache event (hits, stale, misses, bypassed) against a tenant
+  recordTenantEvent(tenant, event) {
+    if (!this.tenantStats.has(tenant)) {
+      this.tenantStats.set(tenant, { hits: 0, stale: 0, misses: 0, bypassed: 0 });
+    }
+    this.tenantStats.get(tenant)[event]++;
+  }
+
+  // Per-tenant usage: entries and bytes in tenant-partitioned entries, plus the
+  // hit/miss counters of every request made by the tenant's users
+  async getTenantStats() {
+    const rows = await this.dbAll(`
+      SELECT tenant, COUNT(*) as entries, SUM(size) as size, SUM(access_count) as accessCount
+      FROM cache_index
+      WHERE tenant IS NOT NULL
+      GROUP BY tenant
+    `);
+    const usage = new Map(rows.map(row => [row.tenant, row]));
+    const tenants = new Set([...usage.keys(), ...this.tenantStats.keys()]);
+
+    return [...tenants].sort().map(tenant => ({
+      tenant,
+      entries: usage.get(tenant)?.entries || 0,
+      size: usage.get(tenant)?.size || 0,
+      accessCount: usage.get(tenant)?.accessCount || 0,
+      hits: 0,
+      stale: 0,
+      misses: 0,
+      bypassed: 0,
+      ...this.tenantStats.get(tenant)
+    }));
   }
 
-  // Generate cache key from normalized URL and optional body
-  getCacheKey(url, method = 'GET', body = null) {
+  // Hit/miss counters grouped by policy rule, including rules not matched yet
+  getRuleStats() {
+    const rules = [...this.policy.rules, this.policy.defaultRule];
+    return rules.map(rule => ({
+      rule: rule.name,
+      pattern: rule.pattern,
+      hits: 0,
+      stale: 0,
+      negative: 0,
+      misses: 0,
+      coalesced: 0,
+      bypassed: 0,
+      rejected: 0,
+      revalidated: 0,
+      ...this.ruleStats.get(rule.name)
+    }));
+  }
+
+  // Generate cache key from normalized URL, optional body and optional vary partition
+  getCacheKey(url, method = 'GET', body = null, vary = null) {
     const normalizedUrl = this.normalizeUrl(url);
     let cacheString = `${method}:${normalizedUrl}`;
     
@@ -128,66 +345,114 @@ class CacheManager {
       const bodyString = typeof body === 'string' ? body : JSON.stringify(body);
       cacheString += `:${bodyString}`;
     }
+
+    // Partitioned entries (e.g. per-user rules) get their own key
+    if (vary) {
+      cacheString += `|${vary}`;
+    }
     
     const hash = crypto.createHash('md5').update(cacheString).digest('hex');
     return hash;
   }
 
-  // Get cache file path with hierarchical structure
-  getCachePath(url, method = 'GET', body = null) {
-    const { dirPath, fileName } = this.getHierarchicalPath(url);
-    const cacheKey = this.getCacheKey(url, method, body);
-    
-    // Create hierarchical directory structure
-    const fullDirPath = path.join(this.cacheDir, 'data', dirPath);
-    
-    // Use first 2 chars of hash for additional sharding
-    const shardDir = cacheKey.substring(0, 2);
-    const finalDirPath = path.join(fullDirPath, shardDir);
-    
-    // Filename includes part of original filename for readability
-    const finalFileName = `${fileName}_${cacheKey}.json`;
-    
-    return {
-      dirPath: finalDirPath,
-      filePath: path.join(finalDirPath, finalFileName)
-    };
-  }
-
-  // Save data to cache with index update
-  async save(url, data, method = 'GET', body = null) {
+  // Save data to cache with index update. data is a JSON value, or a Buffer
+  // holding a non-JSON body that is stored and replayed byte for byte.
+  // options: { rule, vary, tenant (of a tenant-partitioned entry), ttl, tags,
+  // status (default 200; 404/410 are saved as negative entries when a negative
+  // TTL applies), headers (of the upstream response: validators, Cache-Control
+  // and the replayed headers) }
+  async save(url, data, method = 'GET', body = null, options = {}) {
     try {
-      const { dirPath, filePath } = this.getCachePath(url, method, body);
-      
-      // Ensure directory exists
-      await fs.promises.mkdir(dirPath, { recursive: true });
-      
-      const cacheData = {
-        url: url,
-        normalizedUrl: this.normalizeUrl(url),
-        method: method,
-        body: body,
-        timestamp: new Date().toISOString(),
-        data: data
-      };
-      
-      await fs.promises.writeFile(filePath, JSON.stringify(cacheData, null, 2));
+      const rule = options.rule || this.getRule(url);
+      const status = options.status || 200;
+      if (!rule.cache || !this.isCacheableStatus(rule, status)) {
+        return false;
+      }
+
+      // Error bodies are not held to the rule's shape
+      if (status === 200 && !this.policy.accepts(rule, data)) {
+        console.log(`Skipped caching ${method} ${this.normalizeUrl(url)}: payload does not match rule "${rule.name}"`);
+        this.recordRuleEvent(rule, 'rejected');
+        return false;
+      }
+
+      const vary = options.vary || null;
+      const tenant = options.tenant ?? null;
+      const cacheKey = this.getCacheKey(url, method, body, vary);
+      const normalizedUrl = this.normalizeUrl(url);
+      const bodyString = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : null;
+      const { expiresAt, staleUntil } = this.getEntryExpiry(rule, status, options.ttl);
+      const raw = Buffer.isBuffer(data);
+      const headers = replayedHeaders(options.headers);
+      const tags = [...new Set([...this.policy.tagsFor(rule, normalizedUrl, raw ? null : data), ...(options.tags || [])])];
+      const { etag, lastModified, cacheControl } = upstreamHeaders(options.headers);
       
-      // Get file size
-      const stats = await fs.promises.stat(filePath);
+      const serialized = raw ? data : JSON.stringify(data);
+      const encoded = await CODECS[this.codec].encode(Buffer.from(serialized));
       
-      // Update database index
-      const bodyString = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : null;
+      // Shared backends keep the index fields with the payload so other replicas can adopt the entry
+      const previous = await this.dbGet('SELECT cache_key, file_path FROM cache_index WHERE cache_key = ?', [cacheKey]);
+      const { location, size } = await this.storage.write({
+        cacheKey,
+        normalizedUrl,
+        codec: this.codec,
+        previous,
+        meta: {
+          url,
+          normalizedUrl,
+          method,
+          body: bodyString,
+          vary,
+          codec: this.codec,
+          size: encoded.length,
+          expiresAt,
+          staleUntil,
+          tags,
+          etag,
+          lastModified,
+          cacheControl,
+          status,
+          headers,
+          raw,
+          tenant
+        }
+      }, encoded);
       
+      // Update database index; an upsert keeps the entry id stable across refreshes
       await this.dbRun(`
-        INSERT OR REPLACE INTO cache_index 
-        (url, normalized_url, method, body, file_path, size, created_at, accessed_at, access_count)
-        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 
-          COALESCE((SELECT access_count FROM cache_index WHERE normalized_url = ? AND method = ? AND COALESCE(body, '') = COALESCE(?, '')), 0) + 1)
-      `, [url, this.normalizeUrl(url), method, bodyString, filePath, stats.size, 
-          this.normalizeUrl(url), method, bodyString]);
-      
-      console.log(`Cached ${method} response for: ${this.normalizeUrl(url)}`);
+        INSERT INTO cache_index
+        (cache_key, url, normalized_url, method, body, vary, file_path, size, created_at, accessed_at, access_count,
+          expires_at, stale_until, codec, etag, last_modified, cache_control, status, headers, raw, tenant)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(cache_key) DO UPDATE SET
+          url = excluded.url, normalized_url = excluded.normalized_url, method = excluded.method,
+          body = excluded.body, vary = excluded.vary, file_path = excluded.file_path, size = excluded.size,
+          created_at = CURRENT_TIMESTAMP, accessed_at = CURRENT_TIMESTAMP, access_count = access_count + 1,
+          expires_at = excluded.expires_at, stale_until = excluded.stale_until, codec = excluded.codec,
+          etag = excluded.etag, last_modified = excluded.last_modified, cache_control = excluded.cache_control,
+          status = excluded.status, headers = excluded.headers, raw = excluded.raw, tenant = excluded.tenant
+      `, [cacheKey, url, normalizedUrl, method, bodyString, vary, location, size,
+        expiresAt, staleUntil, this.codec, etag, lastModified, cacheControl, status,
+        headers ? JSON.stringify(headers) : null, raw ? 1 : 0, tenant]);
+      await this.setTags(cacheKey, tags);
+
+      this.remember(cacheKey, {
+        data,
+        raw,
+        status,
+        headers,
+        hash: this.getContentHash(serialized),
+        savedAt: Date.now(),
+        expiresAt,
+        staleUntil,
+        etag,
+        lastModified,
+        cacheControl,
+        encoded: this.getEncodedPayload(this.codec, encoded)
+      }, serialized.length + encoded.length);
+
+      console.log(`Cached ${method} response for: ${normalizedUrl}`);
+      this.emit('save', { cacheKey, url: normalizedUrl, size });
       return true;
     } catch (error) {
       console.error('Error saving to cache:', error);
@@ -196,58 +461,451 @@ class CacheManager {
   }
 
   // Load data from cache using index
-  async load(url, method = 'GET', body = null) {
+  async load(url, method = 'GET', body = null, options = {}) {
+    const entry = await this.loadEntry(url, method, body, options);
+    return entry ? entry.data : null;
+  }
+
+  // Keep a decoded entry in the memory tier
+  remember(cacheKey, entry, size) {
+    this.memory.set(cacheKey, entry, size);
+  }
+
+  // Compressed payload bytes that can be sent to clients accepting the codec
+  getEncodedPayload(codec, buffer) {
+    return codec === 'gzip' || codec === 'br' ? { codec, buffer } : null;
+  }
+
+  // Strong validator for a payload, from the JSON text save() stores and res.json() sends
+  getContentHash(serialized) {
+    return sha256(serialized).slice(0, 32);
+  }
+
+  // Decode a stored payload according to the row's codec; raw entries decode
+  // to the original body bytes
+  async decodePayload(row, buffer) {
+    if (!row.codec) {
+      // Legacy wrapper format written before compression support
+      const data = JSON.parse(buffer.toString('utf-8')).data;
+      return { data, buffer, decodedSize: buffer.length, hash: this.getContentHash(JSON.stringify(data)) };
+    }
+
+    const decoded = await CODECS[row.codec].decode(buffer);
+    return {
+      data: row.raw ? decoded : JSON.parse(decoded.toString('utf-8')),
+      buffer,
+      decodedSize: decoded.length,
+      hash: this.getContentHash(decoded)
+    };
+  }
+
+  // Load a cache entry with its freshness. Entries past their TTL are returned
+  // with stale: true until the hard expiry, after which they count as a miss
+  // (unless options.allowExpired is set, as in offline mode).
+  // tier is 'memory' or 'storage' depending on where the entry was found.
+  async loadEntry(url, method = 'GET', body = null, options = {}) {
     try {
       const normalizedUrl = this.normalizeUrl(url);
-      const bodyString = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : null;
+      const cacheKey = this.getCacheKey(url, method, body, options.vary);
+      const now = Date.now();
+
+      const cached = this.memory.get(cacheKey);
+      if (cached && (options.allowExpired || now < cached.staleUntil)) {
+        // Access stats are still tracked for LRU eviction, without waiting on SQLite
+        this.touch(cacheKey).catch(error => console.error('Error updating cache access time:', error));
+
+        const stale = now >= cached.expiresAt;
+        console.log(`Cache ${stale ? 'stale hit' : 'hit'} (memory) for ${method}: ${normalizedUrl}`);
+        return {
+          data: cached.data,
+          raw: cached.raw,
+          status: cached.status,
+          headers: cached.headers,
+          hash: cached.hash,
+          savedAt: cached.savedAt,
+          stale,
+          expiresAt: cached.expiresAt,
+          staleUntil: cached.staleUntil,
+          etag: cached.etag,
+          lastModified: cached.lastModified,
+          cacheControl: cached.cacheControl,
+          encoded: cached.encoded,
+          tier: 'memory'
+        };
+      }
       
       // Query database for cache entry
-      const row = await this.dbGet(`
-        SELECT file_path FROM cache_index 
-        WHERE normalized_url = ? AND method = ? AND COALESCE(body, '') = COALESCE(?, '')
-      `, [normalizedUrl, method, bodyString || '']);
+      let row = await this.dbGet(`
+        SELECT id, cache_key, file_path, created_at, expires_at, stale_until, codec, etag, last_modified, cache_control,
+          status, headers, raw
+        FROM cache_index
+        WHERE cache_key = ?
+      `, [cacheKey]);
+
+      // Another replica may have stored it in a shared backend
+      if (!row && this.storage.shared) {
+        row = await this.adoptEntry(cacheKey);
+      }
+
+      if (!row) {
+        this.memory.delete(cacheKey);
+        return null;
+      }
+
+      if (!options.allowExpired && row.stale_until && now >= row.stale_until) {
+        console.log(`Cache expired for ${method}: ${normalizedUrl}`);
+        await this.deleteEntry(row);
+        return null;
+      }
       
-      if (!row || !fs.existsSync(row.file_path)) {
+      const stored = await this.storage.read(row);
+      if (!stored) {
+        // Payload is gone (or was removed by another replica); drop the index row
+        await this.deleteEntry(row);
         return null;
       }
       
       // Update access time and count
-      await this.dbRun(`
-        UPDATE cache_index 
-        SET accessed_at = CURRENT_TIMESTAMP, access_count = access_count + 1
-        WHERE normalized_url = ? AND method = ? AND COALESCE(body, '') = COALESCE(?, '')
-      `, [normalizedUrl, method, bodyString || '']);
+      await this.touch(cacheKey);
+
+      const { data, buffer, decodedSize, hash } = await this.decodePayload(row, stored);
+      const encoded = this.getEncodedPayload(row.codec, buffer);
+
+      const stale = !!row.expires_at && now >= row.expires_at;
       
-      const cacheContent = await fs.promises.readFile(row.file_path, 'utf-8');
-      const cacheData = JSON.parse(cacheContent);
+      const entry = {
+        data,
+        raw: !!row.raw,
+        status: row.status || 200,
+        headers: row.headers ? JSON.parse(row.headers) : null,
+        hash,
+        savedAt: parseTimestamp(row.created_at),
+        expiresAt: row.expires_at,
+        staleUntil: row.stale_until,
+        etag: row.etag,
+        lastModified: row.last_modified,
+        cacheControl: row.cache_control,
+        encoded
+      };
+      this.remember(cacheKey, entry, decodedSize + (encoded ? buffer.length : 0));
       
-      console.log(`Cache hit for ${method}: ${normalizedUrl}`);
-      return cacheData.data;
+      console.log(`Cache ${stale ? 'stale hit' : 'hit'} for ${method}: ${normalizedUrl}`);
+      return { ...entry, stale, tier: 'storage' };
     } catch (error) {
       console.error('Error loading from cache:', error);
       return null;
     }
   }
 
+  // Index an entry found in a shared backend but not yet in the local index
+  async adoptEntry(cacheKey) {
+    const meta = await this.storage.readMeta(cacheKey);
+    if (!meta) {
+      return null;
+    }
+
+    await this.dbRun(`
+      INSERT OR REPLACE INTO cache_index
+      (cache_key, url, normalized_url, method, body, vary, file_path, size, expires_at, stale_until, codec,
+        etag, last_modified, cache_control, status, headers, raw, tenant)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [cacheKey, meta.url, meta.normalizedUrl, meta.method, meta.body, meta.vary, meta.location,
+      meta.size, meta.expiresAt, meta.staleUntil, meta.codec, meta.etag ?? null, meta.lastModified ?? null,
+      meta.cacheControl ?? null, meta.status || 200, meta.headers ? JSON.stringify(meta.headers) : null, meta.raw ? 1 : 0,
+      meta.tenant ?? null]);
+    await this.setTags(cacheKey, meta.tags || []);
+
+    console.log(`Adopted shared cache entry for ${meta.method}: ${meta.normalizedUrl}`);
+    return this.dbGet(`
+      SELECT id, cache_key, file_path, created_at, expires_at, stale_until, codec, etag, last_modified, cache_control,
+        status, headers, raw
+      FROM cache_index
+      WHERE cache_key = ?
+    `, [cacheKey]);
+  }
+
+  // Request headers asking upstream whether a loaded entry is still current
+  getConditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) {
+      headers['if-none-match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers['if-modified-since'] = entry.lastModified;
+    }
+    return headers;
+  }
+
+  // Start a new freshness period for an entry after upstream answered a
+  // conditional request with 304 Not Modified; the payload is kept as is.
+  // options: { rule, vary, ttl, headers (of the 304 response) }
+  async markRevalidated(url, method = 'GET', body = null, options = {}) {
+    const rule = options.rule || this.getRule(url);
+    const cacheKey = this.getCacheKey(url, method, body, options.vary);
+    const row = await this.dbGet(`
+      SELECT id, cache_key, file_path, url, normalized_url, method, body, vary, size, codec,
+        etag, last_modified, cache_control, status, headers, raw
+      FROM cache_index
+      WHERE cache_key = ?
+    `, [cacheKey]);
+
+    if (!row) {
+      return false;
+    }
+
+    // A 304 may carry updated validators; anything it leaves out stays as stored
+    const updated = upstreamHeaders(options.headers);
+    const etag = updated.etag || row.etag;
+    const lastModified = updated.lastModified || row.last_modified;
+    const cacheControl = updated.cacheControl || row.cache_control;
+    const { expiresAt, staleUntil } = this.getEntryExpiry(rule, row.status, options.ttl);
+
+    await this.dbRun(`
+      UPDATE cache_index
+      SET created_at = CURRENT_TIMESTAMP, expires_at = ?, stale_until = ?, etag = ?, last_modified = ?, cache_control = ?
+      WHERE id = ?
+    `, [expiresAt, staleUntil, etag, lastModified, cacheControl, row.id]);
+
+    await this.storage.extend(row, {
+      url: row.url,
+      normalizedUrl: row.normalized_url,
+      method: row.method,
+      body: row.body,
+      vary: row.vary,
+      codec: row.codec,
+      size: row.size,
+      expiresAt,
+      staleUntil,
+      tags: await this.getTags(cacheKey),
+      etag,
+      lastModified,
+      cacheControl,
+      status: row.status,
+      headers: row.headers ? JSON.parse(row.headers) : null,
+      raw: !!row.raw
+    });
+
+    const cached = this.memory.get(cacheKey);
+    if (cached) {
+      Object.assign(cached, { savedAt: Date.now(), expiresAt, staleUntil, etag, lastModified, cacheControl });
+    }
+
+    this.recordRuleEvent(rule, 'revalidated');
+    console.log(`Revalidated ${method} ${row.normalized_url} (304 Not Modified)`);
+    return true;
+  }
+
+  // Replace the tags stored for an entry
+  async setTags(cacheKey, tags) {
+    await this.dbRun('DELETE FROM cache_tags WHERE cache_key = ?', [cacheKey]);
+    if (tags.length > 0) {
+      await this.dbRun(`
+        INSERT OR IGNORE INTO cache_tags (cache_key, tag)
+        VALUES ${tags.map(() => '(?, ?)').join(', ')}
+      `, tags.flatMap(tag => [cacheKey, tag]));
+    }
+  }
+
+  async getTags(cacheKey) {
+    const rows = await this.dbAll('SELECT tag FROM cache_tags WHERE cache_key = ? ORDER BY tag', [cacheKey]);
+    return rows.map(row => row.tag);
+  }
+
+  // Tags in use with their entry counts, optionally only those starting with prefix
+  async listTags(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), 1000);
+    return this.dbAll(`
+      SELECT tag, COUNT(*) as entries
+      FROM cache_tags
+      ${options.prefix ? 'WHERE tag LIKE ?' : ''}
+      GROUP BY tag
+      ORDER BY entries DESC, tag
+      LIMIT ?
+    `, options.prefix ? [`${options.prefix}%`, limit] : [limit]);
+  }
+
+  // Update access time and count for an entry
+  async touch(cacheKey) {
+    await this.dbRun(`
+      UPDATE cache_index
+      SET accessed_at = CURRENT_TIMESTAMP, access_count = access_count + 1
+      WHERE cache_key = ?
+    `, [cacheKey]);
+  }
+
+  // Index row for a request, or null when it is not cached
+  async findEntry(url, method = 'GET', body = null, options = {}) {
+    const cacheKey = this.getCacheKey(url, method, body, options.vary);
+    const row = await this.dbGet(`
+      SELECT id, cache_key, size, codec, created_at, accessed_at, access_count, expires_at, stale_until
+      FROM cache_index
+      WHERE cache_key = ?
+    `, [cacheKey]);
+
+    return row ? { ...row, status: this.getEntryStatus(row) } : null;
+  }
+
   // Check if cache exists for URL using index
-  async exists(url, method = 'GET', body = null) {
-    const normalizedUrl = this.normalizeUrl(url);
-    const bodyString = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : null;
+  async exists(url, method = 'GET', body = null, options = {}) {
+    const cacheKey = this.getCacheKey(url, method, body, options.vary);
     
     const row = await this.dbGet(`
       SELECT 1 FROM cache_index 
-      WHERE normalized_url = ? AND method = ? AND COALESCE(body, '') = COALESCE(?, '')
-    `, [normalizedUrl, method, bodyString || '']);
+      WHERE cache_key = ?
+    `, [cacheKey]);
     
     return !!row;
   }
 
+  // Freshness of an index row: fresh, stale (past TTL) or expired (past hard expiry)
+  getEntryStatus(row, now = Date.now()) {
+    if (row.stale_until && now >= row.stale_until) return 'expired';
+    if (row.expires_at && now >= row.expires_at) return 'stale';
+    return 'fresh';
+  }
+
+  // Paginated search over cache_index. options: { q (URL substring), method, tag,
+  // tenant, minSize, maxSize, minAge, maxAge (seconds since saved), minAccessCount,
+  // maxAccessCount, status, sort, order, page, limit }
+  async listEntries(options = {}) {
+    const conditions = [];
+    const params = [];
+    const now = Date.now();
+
+    if (options.q) {
+      conditions.push('url LIKE ?');
+      params.push(`%${options.q}%`);
+    }
+    if (options.method) {
+      conditions.push('method = ?');
+      params.push(options.method.toUpperCase());
+    }
+    if (options.tag) {
+      conditions.push('cache_key IN (SELECT cache_key FROM cache_tags WHERE tag = ?)');
+      params.push(options.tag);
+    }
+    if (options.tenant) {
+      conditions.push('tenant = ?');
+      params.push(options.tenant);
+    }
+    if (options.minSize) {
+      conditions.push('size >= ?');
+      params.push(Number(options.minSize));
+    }
+    if (options.maxSize) {
+      conditions.push('size <= ?');
+      params.push(Number(options.maxSize));
+    }
+    if (options.minAge) {
+      conditions.push('created_at <= datetime(\'now\', ?)');
+      params.push(`-${parseInt(options.minAge, 10)} seconds`);
+    }
+    if (options.maxAge) {
+      conditions.push('created_at >= datetime(\'now\', ?)');
+      params.push(`-${parseInt(options.maxAge, 10)} seconds`);
+    }
+    if (options.minAccessCount) {
+      conditions.push('access_count >= ?');
+      params.push(Number(options.minAccessCount));
+    }
+    if (options.maxAccessCount) {
+      conditions.push('access_count <= ?');
+      params.push(Number(options.maxAccessCount));
+    }
+    if (options.status === 'fresh') {
+      conditions.push('(expires_at IS NULL OR expires_at > ?)');
+      params.push(now);
+    } else if (options.status === 'stale') {
+      conditions.push('expires_at <= ? AND (stale_until IS NULL OR stale_until > ?)');
+      params.push(now, now);
+    } else if (options.status === 'expired') {
+      conditions.push('stale_until <= ?');
+      params.push(now);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const sortColumn = ENTRY_SORT_COLUMNS[options.sort] || 'accessed_at';
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+
+    const { total } = await this.dbGet(`SELECT COUNT(*) as total FROM cache_index ${where}`, params);
+    const rows = await this.dbAll(`
+      SELECT id, cache_key, url, normalized_url, method, body, vary, size, codec,
+        created_at, accessed_at, access_count, expires_at, stale_until, status AS http_status, raw, tenant
+      FROM cache_index
+      ${where}
+      ORDER BY ${sortColumn} ${order}, id ${order}
+      LIMIT ? OFFSET ?
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      entries: rows.map(row => ({ ...row, status: this.getEntryStatus(row, now) })),
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    };
+  }
+
+  // Metadata of one entry by id, with its decoded payload unless includePayload is false
+  async getEntryById(id, options = {}) {
+    const row = await this.dbGet(`
+      SELECT id, cache_key, url, normalized_url, method, body, vary, file_path, size, codec,
+        created_at, accessed_at, access_count, expires_at, stale_until, etag, last_modified, cache_control,
+        status AS http_status, headers, raw, tenant
+      FROM cache_index
+      WHERE id = ?
+    `, [id]);
+
+    if (!row) {
+      return null;
+    }
+
+    const entry = {
+      ...row,
+      headers: row.headers ? JSON.parse(row.headers) : null,
+      raw: !!row.raw,
+      status: this.getEntryStatus(row),
+      rule: this.getRule(row.url).name,
+      tags: await this.getTags(row.cache_key)
+    };
+    if (options.includePayload === false) {
+      return entry;
+    }
+
+    const stored = await this.storage.read(row);
+    if (!stored) {
+      return { ...entry, payloadMissing: true, data: null };
+    }
+
+    const { data, decodedSize } = await this.decodePayload(row, stored);
+    if (entry.raw) {
+      // Raw bodies are shown as text when their content type is textual
+      const text = TEXT_CONTENT_TYPE.test(entry.headers?.['content-type'] || '');
+      return { ...entry, decodedSize, data: data.toString(text ? 'utf8' : 'base64'), dataEncoding: text ? 'utf8' : 'base64' };
+    }
+    return { ...entry, decodedSize, data };
+  }
+
+  // Delete one entry by id; returns false when there is no such entry
+  async deleteEntryById(id) {
+    const row = await this.dbGet('SELECT id, cache_key, file_path FROM cache_index WHERE id = ?', [id]);
+    if (!row) {
+      return false;
+    }
+
+    await this.deleteEntry(row);
+    console.log(`Deleted cache entry ${id}`);
+    return true;
+  }
+
   // Revalidate cache for a path using index
   async revalidatePath(pathPrefix) {
     try {
       // Find all entries matching the path prefix
       const rows = await this.dbAll(`
-        SELECT id, file_path, normalized_url FROM cache_index 
+        SELECT id, cache_key, file_path, normalized_url FROM cache_index
         WHERE normalized_url LIKE ?
       `, [pathPrefix + '%']);
       
@@ -255,11 +913,7 @@ class CacheManager {
       
       for (const row of rows) {
         try {
-          if (fs.existsSync(row.file_path)) {
-            await fs.promises.unlink(row.file_path);
-          }
-          
-          await this.dbRun('DELETE FROM cache_index WHERE id = ?', [row.id]);
+          await this.deleteEntry(row);
           deletedCount++;
           console.log(`Revalidated cache for: ${row.normalized_url}`);
         } catch (error) {
@@ -268,7 +922,7 @@ class CacheManager {
       }
       
       // Clean up empty directories
-      await this.cleanEmptyDirectories();
+      await this.storage.prune();
       
       return {
         success: true,
@@ -285,56 +939,546 @@ class CacheManager {
     }
   }
 
-  // Clean up empty directories
-  async cleanEmptyDirectories(dir = path.join(this.cacheDir, 'data')) {
+  // Delete every entry matching all of the given criteria: prefix (of the
+  // normalized URL), glob (on the path), regex (on the normalized URL), methods,
+  // tags (entries carrying any of them) and negative (404/410 entries only).
+  // dryRun only counts the matches.
+  async purge(criteria = {}) {
+    const { prefix, glob, regex, tags = [], tenant, negative = false, dryRun = false, batchSize = 500 } = criteria;
+    const methods = [].concat(criteria.methods || criteria.method || []).map(method => method.toUpperCase());
+
+    if (!prefix && !glob && !regex && methods.length === 0 && tags.length === 0 && !tenant && !negative) {
+      return { success: false, message: 'At least one of prefix, glob, regex, methods, tags, tenant or negative is required' };
+    }
+
+    let globMatcher;
+    let regexMatcher;
     try {
-      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const fullPath = path.join(dir, entry.name);
-          await this.cleanEmptyDirectories(fullPath);
-          
-          // Check if directory is empty after recursive cleaning
-          const remainingEntries = await fs.promises.readdir(fullPath);
-          if (remainingEntries.length === 0) {
-            await fs.promises.rmdir(fullPath);
+      globMatcher = glob ? globToRegExp(glob) : null;
+      regexMatcher = regex ? new RegExp(regex) : null;
+    } catch (error) {
+      return { success: false, message: `Invalid purge pattern: ${error.message}` };
+    }
+
+    // Prefix, method and tags narrow the scan in SQL; patterns are checked per row
+    const conditions = [];
+    const params = [];
+    if (prefix) {
+      conditions.push('normalized_url LIKE ?');
+      params.push(`${prefix}%`);
+    }
+    if (methods.length > 0) {
+      conditions.push(`method IN (${methods.map(() => '?').join(', ')})`);
+      params.push(...methods);
+    }
+    if (tags.length > 0) {
+      conditions.push(`cache_key IN (SELECT cache_key FROM cache_tags WHERE tag IN (${tags.map(() => '?').join(', ')}))`);
+      params.push(...tags);
+    }
+    if (tenant) {
+      conditions.push('tenant = ?');
+      params.push(tenant);
+    }
+    if (negative) {
+      conditions.push(`status IN (${NEGATIVE_STATUSES.join(', ')})`);
+    }
+
+    const matches = (row) =>
+      (!globMatcher || globMatcher.test(row.normalized_url.split('?')[0])) &&
+      (!regexMatcher || regexMatcher.test(row.normalized_url));
+
+    const result = { success: true, dryRun, matchedCount: 0, deletedCount: 0, deletedSize: 0, sample: [] };
+
+    try {
+      let lastId = 0;
+      while (true) {
+        const rows = await this.dbAll(`
+          SELECT id, cache_key, file_path, normalized_url, method, size FROM cache_index
+          WHERE ${[...conditions, 'id > ?'].join(' AND ')}
+          ORDER BY id
+          LIMIT ?
+        `, [...params, lastId, batchSize]);
+
+        if (rows.length === 0) {
+          break;
+        }
+        lastId = rows[rows.length - 1].id;
+
+        for (const row of rows.filter(matches)) {
+          result.matchedCount++;
+          if (result.sample.length < PURGE_SAMPLE_SIZE) {
+            result.sample.push(`${row.method} ${row.normalized_url}`);
+          }
+          if (dryRun) {
+            continue;
+          }
+
+          try {
+            await this.deleteEntry(row);
+            result.deletedCount++;
+            result.deletedSize += row.size || 0;
+          } catch (error) {
+            console.error(`Error deleting cache entry ${row.id}:`, error);
           }
         }
+
+        await yieldToEventLoop();
+      }
+
+      if (!dryRun) {
+        await this.storage.prune();
+        console.log(`Purged ${result.deletedCount} cache entries`);
       }
+
+      result.message = dryRun
+        ? `${result.matchedCount} cache entries match`
+        : `Purged ${result.deletedCount} cache entries`;
+      return result;
     } catch (error) {
-      console.error('Error cleaning directories:', error);
+      console.error('Error purging cache:', error);
+      return { ...result, success: false, message: error.message };
     }
   }
 
+  // Remove a single entry's payload, index row, tags and memory copy
+  async deleteEntry(row) {
+    await this.storage.remove(row);
+    await this.dbRun('DELETE FROM cache_index WHERE id = ?', [row.id]);
+    await this.dbRun('DELETE FROM cache_tags WHERE cache_key = ?', [row.cache_key]);
+    this.memory.delete(row.cache_key);
+  }
+
   // Clear entire cache
   async clearAll() {
     try {
-      // Delete all files referenced in the database
-      const rows = await this.dbAll('SELECT file_path FROM cache_index');
+      // Clear database, then every payload the storage backend holds
+      await this.dbRun('DELETE FROM cache_index');
+      await this.dbRun('DELETE FROM cache_tags');
+      this.memory.clear();
+      await this.storage.clear();
       
-      for (const row of rows) {
-        try {
-          if (fs.existsSync(row.file_path)) {
-            await fs.promises.unlink(row.file_path);
+      return { success: true, message: 'Cache cleared successfully' };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  // Write entries to a bundle stream. options: { prefix, maxAge (seconds since
+  // saved), includeExpired, batchSize }. Resolves once the output is flushed.
+  async exportBundle(output, options = {}) {
+    const { prefix = null, maxAge = null, includeExpired = false, batchSize = 100 } = options;
+    const gzip = zlib.createGzip();
+    const finished = new Promise((resolve, reject) => {
+      gzip.on('error', reject);
+      output.on('error', reject);
+      output.on('finish', resolve);
+    });
+    gzip.pipe(output);
+
+    const writeLine = async (record) => {
+      if (!gzip.write(JSON.stringify(record) + '\n')) {
+        await once(gzip, 'drain');
+      }
+    };
+
+    const conditions = [];
+    const params = [];
+    if (prefix) {
+      conditions.push('normalized_url LIKE ?');
+      params.push(`${prefix}%`);
+    }
+    if (maxAge) {
+      conditions.push('created_at >= datetime(\'now\', ?)');
+      params.push(`-${parseInt(maxAge, 10)} seconds`);
+    }
+    if (!includeExpired) {
+      conditions.push('(stale_until IS NULL OR stale_until > ?)');
+      params.push(Date.now());
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    let exported = 0;
+    let missing = 0;
+    let totalSize = 0;
+    const digest = crypto.createHash('sha256');
+
+    try {
+      await writeLine({
+        type: 'header',
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        createdAt: new Date().toISOString(),
+        filters: { prefix, maxAge, includeExpired }
+      });
+
+      let lastId = 0;
+      while (true) {
+        const rows = await this.dbAll(`
+          SELECT id, file_path, ${BUNDLE_COLUMNS.join(', ')} FROM cache_index
+          ${where ? `${where} AND` : 'WHERE'} id > ?
+          ORDER BY id
+          LIMIT ?
+        `, [...params, lastId, batchSize]);
+
+        if (rows.length === 0) {
+          break;
+        }
+
+        for (const row of rows) {
+          const payload = await this.storage.read(row);
+          if (!payload) {
+            missing++;
+            continue;
+          }
+
+          const checksum = sha256(payload);
+          digest.update(checksum);
+          await writeLine({
+            type: 'entry',
+            row: Object.fromEntries(BUNDLE_COLUMNS.map(column => [column, row[column]])),
+            payload: payload.toString('base64'),
+            sha256: checksum,
+            tags: await this.getTags(row.cache_key)
+          });
+          exported++;
+          totalSize += payload.length;
+        }
+
+        lastId = rows[rows.length - 1].id;
+        await yieldToEventLoop();
+      }
+
+      await writeLine({ type: 'trailer', entries: exported, sha256: digest.digest('hex') });
+      gzip.end();
+      await finished;
+
+      console.log(`Exported ${exported} cache entries (${totalSize} bytes)`);
+      return { success: true, exported, missing, totalSize };
+    } catch (error) {
+      console.error('Error exporting cache:', error);
+      gzip.destroy(error);
+      return { success: false, message: error.message, exported, missing, totalSize };
+    }
+  }
+
+  // Read a bundle stream into the cache. Entries whose payload does not match
+  // its checksum are rejected; existing entries are kept unless options.overwrite.
+  async importBundle(input, options = {}) {
+    const { overwrite = false } = options;
+    const result = {
+      success: false,
+      imported: 0,
+      skipped: 0,
+      corrupted: 0,
+      errors: [],
+      complete: false
+    };
+    const digest = crypto.createHash('sha256');
+    let header = null;
+    let trailer = null;
+    let entryCount = 0;
+
+    try {
+      const gunzip = zlib.createGunzip();
+      input.on('error', error => gunzip.destroy(error));
+      const lines = readline.createInterface({ input: input.pipe(gunzip), crlfDelay: Infinity });
+
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        const record = JSON.parse(line);
+
+        if (!header) {
+          if (record.type !== 'header' || record.format !== BUNDLE_FORMAT) {
+            throw new Error('Not a cache bundle');
           }
+          if (record.version > BUNDLE_VERSION) {
+            throw new Error(`Unsupported cache bundle version ${record.version}`);
+          }
+          header = record;
+          continue;
+        }
+
+        if (record.type === 'trailer') {
+          trailer = record;
+          continue;
+        }
+
+        if (record.type !== 'entry') {
+          continue;
+        }
+
+        entryCount++;
+        digest.update(record.sha256 || '');
+
+        const payload = Buffer.from(record.payload || '', 'base64');
+        if (sha256(payload) !== record.sha256) {
+          result.corrupted++;
+          result.errors.push({ url: record.row?.normalized_url, error: 'Checksum mismatch' });
+          continue;
+        }
+
+        try {
+          result[await this.importEntry(record.row, payload, overwrite, record.tags) ? 'imported' : 'skipped']++;
         } catch (error) {
-          console.error(`Error deleting file ${row.file_path}:`, error);
+          result.errors.push({ url: record.row.normalized_url, error: error.message });
         }
       }
-      
-      // Clear database
-      await this.dbRun('DELETE FROM cache_index');
-      
-      // Clean up empty directories
-      await this.cleanEmptyDirectories();
-      
-      return { success: true, message: 'Cache cleared successfully' };
+
+      if (!header) {
+        throw new Error('Not a cache bundle');
+      }
+
+      // A missing or mismatched trailer means the bundle was truncated or altered
+      result.complete = !!trailer && trailer.entries === entryCount && trailer.sha256 === digest.digest('hex');
+      if (!result.complete) {
+        result.errors.push({ error: trailer ? 'Bundle checksum or entry count mismatch' : 'Bundle is truncated (no trailer)' });
+      }
+
+      result.success = result.complete && result.errors.length === 0;
+      result.header = header;
+      console.log(`Imported ${result.imported} cache entries (${result.skipped} skipped, ${result.corrupted} corrupted)`);
+      return result;
     } catch (error) {
-      return { success: false, message: error.message };
+      console.error('Error importing cache:', error.message);
+      result.errors.push({
+        error: error.code?.startsWith('Z_') ? `Bundle is not gzip data or is truncated: ${error.message}` : error.message
+      });
+      result.header = header;
+      return result;
     }
   }
 
+  // Store one bundle entry; returns false when an existing entry was kept
+  async importEntry(row, payload, overwrite, tags = []) {
+    const previous = await this.dbGet('SELECT id, cache_key, file_path FROM cache_index WHERE cache_key = ?', [row.cache_key]);
+    if (previous && !overwrite) {
+      return false;
+    }
+
+    const { location, size } = await this.storage.write({
+      cacheKey: row.cache_key,
+      normalizedUrl: row.normalized_url,
+      codec: row.codec,
+      previous,
+      meta: {
+        url: row.url,
+        normalizedUrl: row.normalized_url,
+        method: row.method,
+        body: row.body,
+        vary: row.vary,
+        codec: row.codec,
+        size: payload.length,
+        expiresAt: row.expires_at,
+        staleUntil: row.stale_until,
+        tags,
+        etag: row.etag ?? null,
+        lastModified: row.last_modified ?? null,
+        cacheControl: row.cache_control ?? null,
+        status: row.status || 200,
+        headers: row.headers ? JSON.parse(row.headers) : null,
+        raw: !!row.raw,
+        tenant: row.tenant ?? null
+      }
+    }, payload);
+
+    await this.dbRun(`
+      INSERT OR REPLACE INTO cache_index
+      (cache_key, url, normalized_url, method, body, vary, file_path, size, created_at, accessed_at, access_count,
+        expires_at, stale_until, codec, etag, last_modified, cache_control, status, headers, raw, tenant)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [row.cache_key, row.url, row.normalized_url, row.method, row.body, row.vary, location, size,
+      row.created_at, row.accessed_at, row.access_count || 1, row.expires_at, row.stale_until, row.codec,
+      row.etag ?? null, row.last_modified ?? null, row.cache_control ?? null, row.status || 200,
+      row.headers ?? null, row.raw ? 1 : 0, row.tenant ?? null]);
+    await this.setTags(row.cache_key, tags);
+
+    this.memory.delete(row.cache_key);
+    this.emit('save', { cacheKey: row.cache_key, url: row.normalized_url, size });
+    return true;
+  }
+
+  // Check cache_index against the storage backend: rows whose payload is gone,
+  // payloads that no longer decode (corrupt JSON or compression), stored sizes
+  // that do not match, and payloads no row points at. With options.fix broken
+  // rows are deleted, sizes corrected, and orphaned payloads re-indexed when
+  // their metadata can be recovered (shared backends, legacy wrapper files) or
+  // deleted otherwise.
+  async verify(options = {}) {
+    const { fix = false, batchSize = 200 } = options;
+    const result = {
+      success: true,
+      fix,
+      checkedEntries: 0,
+      checkedPayloads: 0,
+      issues: { missingPayload: 0, corrupt: 0, sizeMismatch: 0, orphanPayload: 0 },
+      repaired: { deleted: 0, resized: 0, reindexed: 0 },
+      details: []
+    };
+
+    const report = (problem) => {
+      result.issues[problem.type]++;
+      if (result.details.length < VERIFY_DETAIL_LIMIT) {
+        result.details.push(problem);
+      }
+    };
+
+    try {
+      let lastId = 0;
+      while (true) {
+        const rows = await this.dbAll(`
+          SELECT id, cache_key, normalized_url, method, file_path, size, codec, raw FROM cache_index
+          WHERE id > ?
+          ORDER BY id
+          LIMIT ?
+        `, [lastId, batchSize]);
+
+        if (rows.length === 0) {
+          break;
+        }
+        lastId = rows[rows.length - 1].id;
+
+        for (const row of rows) {
+          result.checkedEntries++;
+          const problem = await this.checkEntry(row);
+          if (!problem) {
+            continue;
+          }
+
+          let action = null;
+          if (fix && problem.type === 'sizeMismatch') {
+            await this.dbRun('UPDATE cache_index SET size = ? WHERE id = ?', [problem.actualSize, row.id]);
+            result.repaired.resized++;
+            action = 'resized';
+          } else if (fix) {
+            await this.deleteEntry(row);
+            result.repaired.deleted++;
+            action = 'deleted';
+          }
+
+          report({ ...problem, id: row.id, method: row.method, url: row.normalized_url, location: row.file_path, action });
+        }
+
+        await yieldToEventLoop();
+      }
+
+      // Payloads are written before their index row, so candidates are checked
+      // again after the walk rather than mistaking an entry being saved for an orphan
+      const candidates = [];
+      for await (const item of this.storage.list()) {
+        result.checkedPayloads++;
+        if (!(await this.dbGet('SELECT 1 FROM cache_index WHERE file_path = ?', [item.location]))) {
+          candidates.push(item);
+        }
+      }
+
+      for (const item of candidates) {
+        if (await this.dbGet('SELECT 1 FROM cache_index WHERE file_path = ?', [item.location])) {
+          continue;
+        }
+
+        let action = null;
+        if (fix) {
+          action = await this.repairOrphan(item);
+          result.repaired[action]++;
+        }
+        report({ type: 'orphanPayload', cacheKey: item.cacheKey, location: item.location, action });
+      }
+
+      if (fix) {
+        await this.storage.prune();
+      }
+
+      const found = Object.values(result.issues).reduce((total, count) => total + count, 0);
+      console.log(`Verified ${result.checkedEntries} cache entries and ${result.checkedPayloads} payloads: ${found} problems${fix ? ' repaired' : ''}`);
+      return result;
+    } catch (error) {
+      console.error('Error verifying cache:', error);
+      return { ...result, success: false, message: error.message };
+    }
+  }
+
+  // What is wrong with an index row's payload, or null when it reads back intact
+  async checkEntry(row) {
+    const stored = await this.storage.read(row);
+    if (!stored) {
+      return { type: 'missingPayload' };
+    }
+
+    try {
+      await this.decodePayload(row, stored);
+    } catch (error) {
+      return { type: 'corrupt', error: error.message };
+    }
+
+    if (stored.length !== row.size) {
+      return { type: 'sizeMismatch', expectedSize: row.size, actualSize: stored.length };
+    }
+
+    return null;
+  }
+
+  // Re-index a payload no row points at, or delete it when that is not possible.
+  // Returns the action taken: 'reindexed' or 'deleted'.
+  async repairOrphan(item) {
+    if (item.cacheKey && await this.adoptEntry(item.cacheKey)) {
+      return 'reindexed';
+    }
+
+    const orphan = { cache_key: item.cacheKey, file_path: item.location };
+    if (await this.reindexLegacyPayload(orphan)) {
+      return 'reindexed';
+    }
+
+    await this.storage.remove(orphan);
+    return 'deleted';
+  }
+
+  // Files written before compression support carry their request in a JSON
+  // wrapper ({ url, method, body, timestamp, data }), so they can be indexed again
+  async reindexLegacyPayload(orphan) {
+    if (this.storage.name !== 'file' || !orphan.file_path.endsWith('.json')) {
+      return false;
+    }
+
+    let stored;
+    let wrapper;
+    try {
+      stored = await this.storage.read(orphan);
+      wrapper = JSON.parse(stored.toString('utf-8'));
+    } catch {
+      return false;
+    }
+
+    const isWrapper = wrapper && typeof wrapper.url === 'string' && typeof wrapper.method === 'string' &&
+      typeof wrapper.timestamp === 'string' && 'data' in wrapper;
+    if (!isWrapper) {
+      return false;
+    }
+
+    const method = wrapper.method;
+    const cacheKey = this.getCacheKey(wrapper.url, method, wrapper.body);
+    if (await this.dbGet('SELECT 1 FROM cache_index WHERE cache_key = ?', [cacheKey])) {
+      // A newer copy of the same request is already indexed
+      return false;
+    }
+
+    const savedAt = Date.parse(wrapper.timestamp) || Date.now();
+    const expiresAt = savedAt + this.ttl * 1000;
+    const bodyString = wrapper.body ? (typeof wrapper.body === 'string' ? wrapper.body : JSON.stringify(wrapper.body)) : null;
+    await this.dbRun(`
+      INSERT INTO cache_index
+      (cache_key, url, normalized_url, method, body, file_path, size, created_at, accessed_at, expires_at, stale_until, codec)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime(? / 1000, 'unixepoch'), CURRENT_TIMESTAMP, ?, ?, NULL)
+    `, [cacheKey, wrapper.url, this.normalizeUrl(wrapper.url), method, bodyString, orphan.file_path, stored.length,
+      savedAt, expiresAt, expiresAt + this.staleTtl * 1000]);
+
+    console.log(`Re-indexed legacy cache file for ${method}: ${this.normalizeUrl(wrapper.url)}`);
+    return true;
+  }
+
   // Get cache statistics with advanced metrics
   async getStats() {
     try {
@@ -346,9 +1490,12 @@ class CacheManager {
           MAX(size) as maxSize,
           MIN(size) as minSize,
           AVG(access_count) as avgAccessCount,
-          MAX(access_count) as maxAccessCount
+          MAX(access_count) as maxAccessCount,
+          SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END) as staleEntries,
+          SUM(CASE WHEN stale_until <= ? THEN 1 ELSE 0 END) as expiredEntries,
+          SUM(CASE WHEN status IN (${NEGATIVE_STATUSES.join(', ')}) THEN 1 ELSE 0 END) as negativeEntries
         FROM cache_index
-      `);
+      `, [Date.now(), Date.now()]);
       
       const topAccessed = await this.dbAll(`
         SELECT normalized_url, method, access_count, size, accessed_at
@@ -388,6 +1535,9 @@ class CacheManager {
         ORDER BY MIN(size)
       `);
       
+      const rules = this.getRuleStats();
+      const tenants = await this.getTenantStats();
+
       return {
         summary: {
           totalEntries: stats.totalEntries || 0,
@@ -396,12 +1546,24 @@ class CacheManager {
           maxSize: stats.maxSize || 0,
           minSize: stats.minSize || 0,
           avgAccessCount: Math.round(stats.avgAccessCount || 0),
-          maxAccessCount: stats.maxAccessCount || 0
+          maxAccessCount: stats.maxAccessCount || 0,
+          staleEntries: stats.staleEntries || 0,
+          expiredEntries: stats.expiredEntries || 0,
+          coalescedHits: rules.reduce((total, rule) => total + rule.coalesced, 0)
+        },
+        negative: {
+          ttl: this.negativeTtl,
+          entries: stats.negativeEntries || 0,
+          hits: rules.reduce((total, rule) => total + rule.negative, 0)
         },
         topAccessed,
         recentlyAccessed,
         largestEntries,
-        sizeDistribution
+        sizeDistribution,
+        rules,
+        tenants,
+        memory: this.memory.getStats(),
+        storage: this.storage.name
       };
     } catch (error) {
       return {
@@ -414,34 +1576,53 @@ class CacheManager {
     }
   }
 
+  // Total size in bytes of all indexed entries
+  async getTotalSize() {
+    const row = await this.dbGet('SELECT SUM(size) as totalSize FROM cache_index');
+    return row.totalSize || 0;
+  }
+
   // Cleanup old cache entries based on various strategies
   async cleanup(options = {}) {
     const {
+      expired = true, // Remove entries past their hard expiry
       maxSize = null, // Maximum total cache size in bytes
       maxAge = null, // Maximum age in days
       minAccessCount = null, // Minimum access count to keep
-      keepTopAccessed = 1000 // Number of top accessed entries to keep
+      keepTopAccessed = 1000, // Number of top accessed entries to keep
+      batchSize = 100 // Entries evicted per batch when enforcing maxSize
     } = options;
     
     let deletedCount = 0;
     let deletedSize = 0;
     
     try {
+      // Delete entries that can no longer be served, even as stale
+      if (expired) {
+        const expiredEntries = await this.dbAll(`
+          SELECT id, cache_key, normalized_url, file_path, size FROM cache_index
+          WHERE stale_until <= ?
+        `, [Date.now()]);
+
+        for (const entry of expiredEntries) {
+          await this.evictEntry(entry);
+          deletedCount++;
+          deletedSize += entry.size;
+        }
+      }
+
       // Delete entries older than maxAge
       if (maxAge) {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - maxAge);
         
         const oldEntries = await this.dbAll(`
-          SELECT id, file_path, size FROM cache_index
+          SELECT id, cache_key, normalized_url, file_path, size FROM cache_index
           WHERE accessed_at < ?
         `, [cutoffDate.toISOString()]);
         
         for (const entry of oldEntries) {
-          if (fs.existsSync(entry.file_path)) {
-            await fs.promises.unlink(entry.file_path);
-          }
-          await this.dbRun('DELETE FROM cache_index WHERE id = ?', [entry.id]);
+          await this.evictEntry(entry);
           deletedCount++;
           deletedSize += entry.size;
         }
@@ -450,16 +1631,13 @@ class CacheManager {
       // Delete entries with low access count
       if (minAccessCount) {
         const lowAccessEntries = await this.dbAll(`
-          SELECT id, file_path, size FROM cache_index
+          SELECT id, cache_key, normalized_url, file_path, size FROM cache_index
           WHERE access_count < ?
           ORDER BY accessed_at ASC
         `, [minAccessCount]);
         
         for (const entry of lowAccessEntries) {
-          if (fs.existsSync(entry.file_path)) {
-            await fs.promises.unlink(entry.file_path);
-          }
-          await this.dbRun('DELETE FROM cache_index WHERE id = ?', [entry.id]);
+          await this.evictEntry(entry);
           deletedCount++;
           deletedSize += entry.size;
         }
@@ -467,33 +1645,34 @@ class CacheManager {
       
       // Enforce maximum cache size
       if (maxSize) {
-        const currentStats = await this.dbGet('SELECT SUM(size) as totalSize FROM cache_index');
+        let currentSize = await this.getTotalSize();
         
-        if (currentStats.totalSize > maxSize) {
-          // Delete least recently accessed entries until under size limit
+        // Delete least recently accessed entries in batches until under size limit,
+        // yielding between batches so requests are not held up
+        while (currentSize > maxSize) {
           const candidates = await this.dbAll(`
-            SELECT id, file_path, size FROM cache_index
+            SELECT id, cache_key, normalized_url, file_path, size FROM cache_index
             ORDER BY accessed_at ASC, access_count ASC
-          `);
+            LIMIT ?
+          `, [batchSize]);
           
-          let currentSize = currentStats.totalSize;
+          if (candidates.length === 0) break;
           
           for (const entry of candidates) {
             if (currentSize <= maxSize) break;
             
-            if (fs.existsSync(entry.file_path)) {
-              await fs.promises.unlink(entry.file_path);
-            }
-            await this.dbRun('DELETE FROM cache_index WHERE id = ?', [entry.id]);
+            await this.evictEntry(entry);
             deletedCount++;
             deletedSize += entry.size;
             currentSize -= entry.size;
           }
+
+          await yieldToEventLoop();
         }
       }
       
       // Clean up empty directories
-      await this.cleanEmptyDirectories();
+      await this.storage.prune();
       
       return {
         success: true,
@@ -512,8 +1691,97 @@ class CacheManager {
     }
   }
 
-  // Close database connection
+  // Delete an entry for cleanup() and report it to evict listeners
+  async evictEntry(row) {
+    await this.deleteEntry(row);
+    this.emit('evict', { cacheKey: row.cache_key, url: row.normalized_url, size: row.size });
+  }
+
+  // Add per-minute counters from CacheMetrics to cache_metrics and drop rows
+  // older than the retention cutoff (ms)
+  async writeMetrics(buckets, cutoff) {
+    for (const bucket of buckets) {
+      await this.dbRun(`
+        INSERT INTO cache_metrics
+        (minute, prefix, hits, stale, misses, saves, evictions, upstream_requests, upstream_time, upstream_max)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(minute, prefix) DO UPDATE SET
+          hits = hits + excluded.hits,
+          stale = stale + excluded.stale,
+          misses = misses + excluded.misses,
+          saves = saves + excluded.saves,
+          evictions = evictions + excluded.evictions,
+          upstream_requests = upstream_requests + excluded.upstream_requests,
+          upstream_time = upstream_time + excluded.upstream_time,
+          upstream_max = MAX(upstream_max, excluded.upstream_max)
+      `, [bucket.minute, bucket.prefix, bucket.hits, bucket.stale, bucket.misses, bucket.saves, bucket.evictions,
+        bucket.upstreamRequests, Math.round(bucket.upstreamTime), Math.round(bucket.upstreamMax)]);
+    }
+
+    await this.dbRun('DELETE FROM cache_metrics WHERE minute < ?', [cutoff]);
+  }
+
+  // Metrics between from and to (ms) summed into buckets of bucketMs, one
+  // series per path prefix. A prefix filter also matches the prefixes below it.
+  async getMetrics(options = {}) {
+    const { from, to, bucketMs, prefix = null } = options;
+    const conditions = ['minute >= ?', 'minute < ?'];
+    const params = [from, to];
+
+    if (prefix) {
+      conditions.push('(prefix = ? OR prefix LIKE ?)');
+      params.push(prefix, `${prefix.replace(/\/+$/, '')}/%`);
+    }
+
+    const rows = await this.dbAll(`
+      SELECT (minute / ?) * ? AS time, prefix,
+        SUM(hits) AS hits, SUM(stale) AS stale, SUM(misses) AS misses, SUM(saves) AS saves,
+        SUM(evictions) AS evictions, SUM(upstream_requests) AS upstream_requests,
+        SUM(upstream_time) AS upstream_time, MAX(upstream_max) AS upstream_max
+      FROM cache_metrics
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY time, prefix
+      ORDER BY prefix, time
+    `, [bucketMs, bucketMs, ...params]);
+
+    const series = new Map();
+    for (const row of rows) {
+      if (!series.has(row.prefix)) {
+        series.set(row.prefix, { prefix: row.prefix, totals: emptyMetrics(), points: [] });
+      }
+
+      const entry = series.get(row.prefix);
+      const point = {
+        time: new Date(row.time).toISOString(),
+        hits: row.hits,
+        stale: row.stale,
+        misses: row.misses,
+        saves: row.saves,
+        evictions: row.evictions,
+        upstreamRequests: row.upstream_requests,
+        upstreamTime: row.upstream_time,
+        upstreamMax: row.upstream_max
+      };
+      entry.points.push(point);
+
+      Object.keys(entry.totals).forEach(name => {
+        entry.totals[name] = name === 'upstreamMax'
+          ? Math.max(entry.totals[name], point[name])
+          : entry.totals[name] + point[name];
+      });
+    }
+
+    return [...series.values()].map(({ prefix: seriesPrefix, totals, points }) => ({
+      prefix: seriesPrefix,
+      totals: summarizeMetrics(totals),
+      points: points.map(summarizeMetrics)
+    }));
+  }
+
+  // Close database connection and storage backend
   async close() {
+    await this.storage.close();
+
     if (this.db) {
       return new Promise((resolve) => {
         this.db.close((err) => {
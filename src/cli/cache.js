@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { config } from '../config/index.js';
+import { openMigrator } from '../migrations/index.js';
+
+// Loaded in main(): importing the cache middleware opens, and migrates, the cache database
+let cacheManager;
+let evictionWorker;
+let cacheWarmer;
+let cacheMetrics;
+
+const USAGE = `Usage: npm run cache -- <command> [options]
+
+Commands:
+  warm [url...]        Fetch URLs and the AllData links they reference into the cache
+    --seed <path>        Seed vehicle path to crawl from, e.g. /alldata/vehicle/12345
+    --scope <prefix>     Only follow links under this path prefix (repeatable, default /alldata/)
+    --concurrency <n>    Parallel upstream requests
+    --max-depth <n>      Link levels to follow from the start URLs
+    --max-urls <n>       URLs visited in total
+    --dry-run            Report what would be fetched without calling upstream
+    --resume <jobId>     Continue an interrupted or cancelled job
+  jobs [jobId]         List warm jobs, or show one job's progress
+  export <file>        Write cache entries to a bundle file (.ndjson.gz)
+    --prefix <path>      Only entries whose URL starts with this path
+    --max-age <seconds>  Only entries saved within this many seconds
+    --include-expired    Include entries past their hard expiry
+  import <file>        Load a bundle file into the cache, verifying checksums
+    --overwrite          Replace entries that already exist
+  verify               Check the index against stored payloads (orphans, corrupt
+                       payloads, size mismatches)
+    --fix                Delete broken entries, correct sizes, re-index or delete orphans
+  migrate              Apply pending cache index schema migrations
+    --status             List applied and pending migrations without applying them
+    --skip-backup        Do not copy the database before migrating
+`;
+
+function printProgress(status) {
+  const { progress } = status;
+  process.stdout.write(
+    `\r[${status.id}] ${progress.percent}% ` +
+    `processed ${progress.processed}/${progress.processed + progress.pending + progress.active} ` +
+    `fetched ${progress.fetched} cached ${progress.alreadyCached} planned ${progress.planned} ` +
+    `skipped ${progress.skipped} failed ${progress.failed}   `
+  );
+}
+
+async function warm(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      seed: { type: 'string' },
+      scope: { type: 'string', multiple: true },
+      concurrency: { type: 'string' },
+      'max-depth': { type: 'string' },
+      'max-urls': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      resume: { type: 'string' }
+    }
+  });
+
+  if (!values.resume && !values.seed && positionals.length === 0) {
+    throw new Error('warm needs at least one URL, --seed or --resume');
+  }
+
+  let jobId = null;
+  process.once('SIGINT', () => {
+    // Stop taking new URLs; state is kept so the job can be resumed
+    console.log('\nCancelling, waiting for in-flight requests...');
+    if (jobId) cacheWarmer.cancel(jobId);
+  });
+
+  cacheWarmer.on('progress', printProgress);
+
+  const started = await cacheWarmer.start({
+    urls: positionals,
+    seed: values.seed,
+    scope: values.scope,
+    concurrency: values.concurrency,
+    maxDepth: values['max-depth'],
+    maxUrls: values['max-urls'],
+    dryRun: values['dry-run'],
+    resume: values.resume
+  });
+  jobId = started.id;
+
+  const status = await cacheWarmer.jobs.get(jobId).done;
+  printProgress(status);
+  console.log(`\nJob ${status.id} ${status.status} in ${(status.durationMs / 1000).toFixed(1)}s`);
+
+  if (status.dryRun && status.plan.length > 0) {
+    console.log(`\nWould fetch (${status.progress.planned}):`);
+    status.plan.forEach(url => console.log(`  ${url}`));
+  }
+
+  if (status.errors.length > 0) {
+    console.log('\nErrors:');
+    status.errors.forEach(({ url, error }) => console.log(`  ${url}: ${error}`));
+  }
+
+  if (status.status === 'cancelled') {
+    console.log(`\nResume with: npm run cache -- warm --resume ${status.id}`);
+  }
+
+  return status.status === 'completed' ? 0 : 1;
+}
+
+async function jobs(args) {
+  const [id] = args;
+
+  if (id) {
+    const job = await cacheWarmer.getJob(id);
+    if (!job) {
+      throw new Error(`Warm job ${id} not found`);
+    }
+    console.log(JSON.stringify(job, null, 2));
+    return 0;
+  }
+
+  const list = await cacheWarmer.listJobs();
+  if (list.length === 0) {
+    console.log('No warm jobs');
+  }
+  list.forEach(job => {
+    console.log(`${job.id}  ${job.status.padEnd(11)} ${job.dryRun ? 'dry-run ' : ''}${job.progress.processed} processed, ${job.progress.pending} pending  (${job.createdAt})`);
+  });
+  return 0;
+}
+
+async function exportCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      prefix: { type: 'string' },
+      'max-age': { type: 'string' },
+      'include-expired': { type: 'boolean', default: false }
+    }
+  });
+
+  const [file] = positionals;
+  if (!file) {
+    throw new Error('export needs an output file');
+  }
+
+  const result = await cacheManager.exportBundle(fs.createWriteStream(file), {
+    prefix: values.prefix,
+    maxAge: values['max-age'] ? parseInt(values['max-age'], 10) : null,
+    includeExpired: values['include-expired']
+  });
+
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+
+  console.log(`Exported ${result.exported} entries (${(result.totalSize / 1024 / 1024).toFixed(2)} MB) to ${file}`);
+  if (result.missing > 0) {
+    console.log(`${result.missing} indexed entries had no payload and were left out`);
+  }
+  return 0;
+}
+
+async function importCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      overwrite: { type: 'boolean', default: false }
+    }
+  });
+
+  const [file] = positionals;
+  if (!file) {
+    throw new Error('import needs a bundle file');
+  }
+
+  const result = await cacheManager.importBundle(fs.createReadStream(file), {
+    overwrite: values.overwrite
+  });
+
+  console.log(`Imported ${result.imported} entries, skipped ${result.skipped} existing, rejected ${result.corrupted} corrupted`);
+  result.errors.forEach(({ url, error }) => console.log(`  ${url ? `${url}: ` : ''}${error}`));
+  return result.success ? 0 : 1;
+}
+
+async function verify(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      fix: { type: 'boolean', default: false }
+    }
+  });
+
+  const result = await cacheManager.verify({ fix: values.fix });
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+
+  const { issues, repaired } = result;
+  const found = Object.values(issues).reduce((total, count) => total + count, 0);
+
+  console.log(`Checked ${result.checkedEntries} index entries and ${result.checkedPayloads} stored payloads`);
+  console.log(`  missing payload: ${issues.missingPayload}`);
+  console.log(`  corrupt:         ${issues.corrupt}`);
+  console.log(`  size mismatch:   ${issues.sizeMismatch}`);
+  console.log(`  orphan payload:  ${issues.orphanPayload}`);
+
+  result.details.forEach(problem => {
+    const target = problem.url ? `${problem.method} ${problem.url}` : problem.location;
+    console.log(`  ${problem.type.padEnd(15)} ${target}${problem.error ? ` (${problem.error})` : ''}${problem.action ? ` -> ${problem.action}` : ''}`);
+  });
+  if (found > result.details.length) {
+    console.log(`  ... ${found - result.details.length} more`);
+  }
+
+  if (values.fix) {
+    console.log(`Deleted ${repaired.deleted}, resized ${repaired.resized}, re-indexed ${repaired.reindexed}`);
+    return 0;
+  }
+
+  if (found > 0) {
+    console.log('\nRepair with: npm run cache -- verify --fix');
+  }
+  return found > 0 ? 1 : 0;
+}
+
+// Runs on its own connection so pending migrations can be listed before anything applies them
+async function migrate(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      status: { type: 'boolean', default: false },
+      'skip-backup': { type: 'boolean', default: false }
+    }
+  });
+
+  fs.mkdirSync(config.paths.cache, { recursive: true });
+  const migrator = await openMigrator(path.join(config.paths.cache, 'cache-index.db'), {
+    backup: config.cache.migrationBackup && !values['skip-backup'],
+    context: { ttl: config.cache.ttl, staleTtl: config.cache.staleTtl }
+  });
+
+  try {
+    if (values.status) {
+      const status = await migrator.status();
+      console.log(`Schema version ${status.current} (latest ${status.latest})`);
+      status.applied.forEach(({ version, name, appliedAt }) => console.log(`  applied  ${version} ${name} (${appliedAt})`));
+      status.pending.forEach(({ version, name }) => console.log(`  pending  ${version} ${name}`));
+      return 0;
+    }
+
+    const result = await migrator.migrate();
+    if (result.applied.length === 0) {
+      console.log(`Cache index is up to date (schema version ${result.to})`);
+    } else {
+      console.log(`Migrated cache index from version ${result.from} to ${result.to}`);
+    }
+    return 0;
+  } finally {
+    await migrator.close();
+  }
+}
+
+const commands = { warm, jobs, export: exportCommand, import: importCommand, verify, migrate };
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.log(USAGE);
+    return command ? 1 : 0;
+  }
+
+  if (command === 'migrate') {
+    return migrate(args);
+  }
+
+  ({ cacheManager, evictionWorker, cacheWarmer, cacheMetrics } = await import('../middleware/cache.js'));
+  await cacheManager.initializeDatabase();
+  try {
+    return await commands[command](args);
+  } finally {
+    evictionWorker.stop();
+    await cacheMetrics.stop();
+    await cacheManager.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
\ No newline at end of file
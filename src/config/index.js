@@ -1,12 +1,87 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { CachePolicy } from '../utils/cachePolicy.js';
+import { STORAGE_TYPES } from '../storage/index.js';
+import { ACCOUNT_STRATEGIES } from '../accountPool.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const cachePolicyFile = process.env.CACHE_POLICY_FILE || path.join(__dirname, '..', '..', 'cache-policy.json');
+const accountsFile = process.env.ALLDATA_ACCOUNTS_FILE || path.join(__dirname, '..', '..', 'alldata-accounts.json');
+
+// Read the per-route cache policy file; a missing file means "cache everything"
+function loadCachePolicy(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { rules: [] };
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { rules: [], error: `Invalid cache policy file ${filePath}: ${error.message}` };
+  }
+}
+
+// Upstream accounts: ALLDATA_EMAIL/ALLDATA_PASSWORD as "primary", plus any
+// [{ id, email, password }] listed in the accounts file
+function loadAccounts(filePath) {
+  const accounts = [];
+  if (process.env.ALLDATA_EMAIL || process.env.ALLDATA_PASSWORD) {
+    accounts.push({ id: 'primary', email: process.env.ALLDATA_EMAIL, password: process.env.ALLDATA_PASSWORD });
+  }
+
+  if (!fs.existsSync(filePath)) {
+    return { accounts };
+  }
+
+  try {
+    const listed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(listed)) {
+      throw new Error('expected an array of accounts');
+    }
+    // Checked here rather than in validateConfig(): the account pool names
+    // each account's token cache file after its id when it is created
+    if (listed.some(account => !account || typeof account.id !== 'string' || !account.id)) {
+      throw new Error('every account needs an id');
+    }
+    return { accounts: [...accounts, ...listed] };
+  } catch (error) {
+    return { accounts, error: `Invalid accounts file ${filePath}: ${error.message}` };
+  }
+}
+
+const upstreamAccounts = loadAccounts(accountsFile);
+
+// Token cache encryption keys: ALLDATA_TOKEN_KEY or the first line of
+// ALLDATA_TOKEN_KEY_FILE encrypts; ALLDATA_TOKEN_PREVIOUS_KEYS (comma separated)
+// and further lines of the key file only decrypt, for rotating keys
+function loadTokenKeys() {
+  const previous = (process.env.ALLDATA_TOKEN_PREVIOUS_KEYS || '').split(',').map(key => key.trim()).filter(key => key);
+  const keyFile = process.env.ALLDATA_TOKEN_KEY_FILE;
+
+  if (!keyFile) {
+    return { key: process.env.ALLDATA_TOKEN_KEY || null, previous };
+  }
+
+  try {
+    const [key, ...fileKeys] = fs.readFileSync(keyFile, 'utf8').split('\n').map(line => line.trim()).filter(line => line);
+    if (!key) {
+      throw new Error('file is empty');
+    }
+    return { key, previous: [...fileKeys, ...previous] };
+  } catch (error) {
+    // Not fatal: without keys the old cache is ignored and the proxy logs in again
+    return { key: null, previous: [], error: `Invalid token key file ${keyFile}: ${error.message}` };
+  }
+}
+
+const tokenKeys = loadTokenKeys();
+
 export const config = {
   server: {
     port: parseInt(process.env.PORT || '3000', 10),
@@ -14,7 +89,18 @@ export const config = {
   },
   auth: {
     email: process.env.ALLDATA_EMAIL,
-    password: process.env.ALLDATA_PASSWORD
+    password: process.env.ALLDATA_PASSWORD,
+    accountsFile,
+    accounts: upstreamAccounts.accounts,
+    accountsError: upstreamAccounts.error,
+    strategy: process.env.ALLDATA_ACCOUNT_STRATEGY || 'round-robin', // round-robin, least-loaded or sticky
+    cooldown: parseInt(process.env.ALLDATA_ACCOUNT_COOLDOWN || '300', 10), // seconds an account sits out after a failed login or 429
+    autoRefresh: process.env.ALLDATA_TOKEN_AUTO_REFRESH !== 'false', // refresh tokens in the background before they expire
+    refreshMargin: parseInt(process.env.ALLDATA_TOKEN_REFRESH_MARGIN || '60', 10), // seconds before expiry the refresh runs
+    refreshRetries: parseInt(process.env.ALLDATA_TOKEN_REFRESH_RETRIES || '3', 10), // failed refreshes retried before a full login
+    tokenKey: tokenKeys.key, // encrypts the token cache files, unencrypted when unset
+    previousTokenKeys: tokenKeys.previous,
+    tokenKeyError: tokenKeys.error // logged as a warning, the token cache is then unencrypted
   },
   proxy: {
     target: 'https://data-eu.partnership.workshopdiag.com',
@@ -23,7 +109,34 @@ export const config = {
   },
   cache: {
     ttl: parseInt(process.env.CACHE_TTL || '3600', 10), // 1 hour default
-    maxSize: parseInt(process.env.CACHE_MAX_SIZE || '100', 10) // MB
+    staleTtl: parseInt(process.env.CACHE_STALE_TTL || '86400', 10), // seconds a stale entry may still be served
+    negativeTtl: parseInt(process.env.CACHE_NEGATIVE_TTL || '0', 10), // seconds 404/410 responses are cached, 0 disables
+    maxSize: parseInt(process.env.CACHE_MAX_SIZE || '100', 10), // MB
+    compression: process.env.CACHE_COMPRESSION || 'gzip', // gzip, br or none
+    memoryMaxSize: parseInt(process.env.CACHE_MEMORY_MAX_SIZE || '32', 10), // MB, 0 disables the memory tier
+    evictionInterval: parseInt(process.env.CACHE_EVICTION_INTERVAL || '300', 10), // seconds
+    evictionBatchSize: parseInt(process.env.CACHE_EVICTION_BATCH_SIZE || '100', 10),
+    storage: process.env.CACHE_STORAGE || 'file', // file, sqlite or redis
+    redisUrl: process.env.CACHE_REDIS_URL || 'redis://127.0.0.1:6379', // memory:// runs an in-process stand-in
+    redisPrefix: process.env.CACHE_REDIS_PREFIX || 'alldata-cache:',
+    warm: {
+      concurrency: parseInt(process.env.CACHE_WARM_CONCURRENCY || '4', 10), // parallel upstream requests per job
+      maxDepth: parseInt(process.env.CACHE_WARM_MAX_DEPTH || '3', 10), // link levels followed from the start URLs
+      maxUrls: parseInt(process.env.CACHE_WARM_MAX_URLS || '500', 10) // URLs visited per job
+    },
+    autoMigrate: process.env.CACHE_AUTO_MIGRATE !== 'false', // apply cache-index.db migrations at startup
+    migrationBackup: process.env.CACHE_MIGRATION_BACKUP !== 'false', // copy cache-index.db before migrating it
+    metrics: {
+      retention: parseInt(process.env.CACHE_METRICS_RETENTION || '7', 10), // days of per-minute counters kept, 0 disables
+      prefixDepth: parseInt(process.env.CACHE_METRICS_PREFIX_DEPTH || '2', 10) // path segments counters are grouped by
+    },
+    policyFile: cachePolicyFile,
+    policy: loadCachePolicy(cachePolicyFile)
+  },
+  offline: {
+    mode: process.env.OFFLINE_MODE || 'auto', // on, off or auto (after repeated upstream failures)
+    failureThreshold: parseInt(process.env.OFFLINE_FAILURE_THRESHOLD || '3', 10), // consecutive failures before going offline
+    retryInterval: parseInt(process.env.OFFLINE_RETRY_INTERVAL || '30', 10) // seconds between upstream probes while offline
   },
   paths: {
     public: path.join(__dirname, '..', '..', 'public'),
@@ -45,12 +158,71 @@ export const config = {
 export function validateConfig() {
   const errors = [];
 
-  if (!config.auth.email) {
-    errors.push('ALLDATA_EMAIL is required');
+  if (config.auth.accountsError) {
+    errors.push(config.auth.accountsError);
+  } else if (config.auth.accounts.length === 0) {
+    errors.push('ALLDATA_EMAIL and ALLDATA_PASSWORD (or ALLDATA_ACCOUNTS_FILE) are required');
+  }
+
+  const accountIds = new Set();
+  for (const account of config.auth.accounts) {
+    if (accountIds.has(account.id)) {
+      errors.push(`Duplicate upstream account id "${account.id}"`);
+    }
+    accountIds.add(account.id);
+
+    if (!account.email) {
+      errors.push(account.id === 'primary' ? 'ALLDATA_EMAIL is required' : `Upstream account "${account.id}" has no email`);
+    }
+    if (!account.password) {
+      errors.push(account.id === 'primary' ? 'ALLDATA_PASSWORD is required' : `Upstream account "${account.id}" has no password`);
+    }
+  }
+
+  if (!ACCOUNT_STRATEGIES.includes(config.auth.strategy)) {
+    errors.push(`ALLDATA_ACCOUNT_STRATEGY must be one of ${ACCOUNT_STRATEGIES.join(', ')}`);
+  }
+
+  if (!(config.auth.cooldown >= 0)) {
+    errors.push('ALLDATA_ACCOUNT_COOLDOWN must be a number of seconds');
+  }
+
+  if (!(config.auth.refreshMargin >= 0)) {
+    errors.push('ALLDATA_TOKEN_REFRESH_MARGIN must be a number of seconds');
+  }
+
+  if (!(config.auth.refreshRetries >= 0)) {
+    errors.push('ALLDATA_TOKEN_REFRESH_RETRIES must be 0 or more');
+  }
+
+  if (!STORAGE_TYPES.includes(config.cache.storage)) {
+    errors.push(`CACHE_STORAGE must be one of ${STORAGE_TYPES.join(', ')}`);
+  }
+
+  if (!(config.cache.negativeTtl >= 0)) {
+    errors.push('CACHE_NEGATIVE_TTL must be a number of seconds (0 disables negative caching)');
+  }
+
+  if (!(config.cache.metrics.retention >= 0)) {
+    errors.push('CACHE_METRICS_RETENTION must be a number of days (0 disables cache metrics)');
+  }
+
+  if (!(config.cache.metrics.prefixDepth >= 1)) {
+    errors.push('CACHE_METRICS_PREFIX_DEPTH must be at least 1');
+  }
+
+  if (!['on', 'off', 'auto'].includes(config.offline.mode)) {
+    errors.push('OFFLINE_MODE must be one of on, off, auto');
   }
 
-  if (!config.auth.password) {
-    errors.push('ALLDATA_PASSWORD is required');
+  if (config.cache.policy.error) {
+    errors.push(config.cache.policy.error);
+  } else {
+    try {
+      new CachePolicy(config.cache.policy);
+    } catch (error) {
+      errors.push(error.message);
+    }
   }
 
   if (errors.length > 0) {
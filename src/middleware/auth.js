@@ -1,14 +1,49 @@
-import AuthManager from '../authManager.js';
+import AccountPool from '../accountPool.js';
+import { TOKEN_KEY_SALT_FILE } from '../authManager.js';
 import { config } from '../config/index.js';
+import upstreamHealth from '../services/upstreamHealth.js';
+import TokenCipher from '../utils/tokenCipher.js';
 
-const authManager = new AuthManager(config.auth.email, config.auth.password);
+const tokenCipher = new TokenCipher([config.auth.tokenKey, ...config.auth.previousTokenKeys], {
+  saltFile: TOKEN_KEY_SALT_FILE
+});
+if (config.auth.tokenKeyError) {
+  console.warn(`${config.auth.tokenKeyError}; upstream tokens are cached unencrypted`);
+} else if (!tokenCipher.enabled) {
+  console.warn('ALLDATA_TOKEN_KEY is not set, upstream tokens are cached unencrypted');
+}
+
+const accountPool = new AccountPool(config.auth.accounts, {
+  cipher: tokenCipher,
+  strategy: config.auth.strategy,
+  cooldown: config.auth.cooldown,
+  autoRefresh: config.auth.autoRefresh,
+  refreshMargin: config.auth.refreshMargin,
+  refreshRetries: config.auth.refreshRetries,
+  isUnreachable: (error) => upstreamHealth.isUpstreamFailure(error)
+});
 
 export async function authMiddleware(req, res, next) {
   try {
-    const accessToken = await authManager.getValidToken();
-    req.accessToken = accessToken;
+    // Sticky routing keeps a user on one upstream account
+    const lease = await accountPool.acquire(req.user?.id ?? req.ip);
+    req.accessToken = lease.accessToken;
+    req.upstreamAccount = lease.accountId;
+
+    // A 429 passed through from upstream takes the account out of rotation
+    const release = () => lease.release(res.statusCode, res.getHeader('retry-after'));
+    res.on('finish', release);
+    res.on('close', release);
     next();
   } catch (error) {
+    // Auth API unreachable: let the caller answer from the cache instead
+    if (upstreamHealth.shouldServeOffline(error)) {
+      console.error('Authentication failed, upstream unreachable:', error.message);
+      upstreamHealth.recordFailure(error);
+      req.upstreamUnavailable = true;
+      return next();
+    }
+
     console.error('Authentication error:', error);
     res.status(500).json({
       error: 'Authentication failed',
@@ -17,4 +52,4 @@ export async function authMiddleware(req, res, next) {
   }
 }
 
-export { authManager };
\ No newline at end of file
+export { accountPool };
\ No newline at end of file
@@ -1,7 +1,55 @@
+import path from 'path';
 import CacheManager from '../cacheManager.js';
 import { config } from '../config/index.js';
+import proxyService from '../services/proxy.js';
+import EvictionWorker from '../services/evictionWorker.js';
+import CacheWarmer from '../services/cacheWarmer.js';
+import CacheMetrics from '../services/cacheMetrics.js';
+import SingleFlight from '../utils/singleFlight.js';
+import { getTenant } from '../utils/cachePolicy.js';
+import { createStorage } from '../storage/index.js';
+import { accountPool } from './auth.js';
 
-const cacheManager = new CacheManager(config.paths.cache);
+const cacheManager = new CacheManager(config.paths.cache, {
+  ttl: config.cache.ttl,
+  staleTtl: config.cache.staleTtl,
+  negativeTtl: config.cache.negativeTtl,
+  policy: config.cache.policy,
+  memoryMaxSize: config.cache.memoryMaxSize * 1024 * 1024,
+  compression: config.cache.compression,
+  autoMigrate: config.cache.autoMigrate,
+  migrationBackup: config.cache.migrationBackup,
+  storage: createStorage(config.cache.storage, {
+    cacheDir: config.paths.cache,
+    redisUrl: config.cache.redisUrl,
+    redisPrefix: config.cache.redisPrefix
+  })
+});
+
+const evictionWorker = new EvictionWorker(cacheManager, {
+  maxSize: config.cache.maxSize * 1024 * 1024,
+  interval: config.cache.evictionInterval * 1000,
+  batchSize: config.cache.evictionBatchSize
+});
+
+const cacheMetrics = new CacheMetrics(cacheManager, {
+  retention: config.cache.metrics.retention,
+  prefixDepth: config.cache.metrics.prefixDepth
+});
+
+const cacheWarmer = new CacheWarmer(cacheManager, {
+  jobsDir: path.join(config.paths.cache, 'warm-jobs'),
+  getAccessToken: () => accountPool.getValidToken(),
+  concurrency: config.cache.warm.concurrency,
+  maxDepth: config.cache.warm.maxDepth,
+  maxUrls: config.cache.warm.maxUrls
+});
+
+// Cache keys with a background refresh already running
+const pendingRefreshes = new Set();
+
+// Upstream calls for cache misses, shared by concurrent requests with the same cache key
+const upstreamFlights = new SingleFlight();
 
 export async function cacheMiddleware(req, res, next) {
   // Skip caching for non-GET/POST or non-API requests
@@ -9,37 +57,249 @@ export async function cacheMiddleware(req, res, next) {
     return next();
   }
 
+  const rule = cacheManager.getRule(req.originalUrl);
+  res.setHeader('X-Cache-Rule', rule.name);
+
+  const vary = cacheManager.getVary(rule, req);
+  const tenant = getTenant(req.user);
+  const recordTenantEvent = (event) => tenant && cacheManager.recordTenantEvent(tenant, event);
+
+  // Rules partitioned on a user property need a user (and tenant) to partition on
+  if (!rule.cache || vary === undefined) {
+    cacheManager.recordRuleEvent(rule, 'bypassed');
+    recordTenantEvent('bypassed');
+    res.setHeader('X-Cache', 'BYPASS');
+    return next();
+  }
+
+  const cacheOptions = {
+    rule,
+    vary,
+    tenant: rule.varyBy.includes('tenant') ? tenant : null
+  };
+
   try {
-    const cachedData = await cacheManager.load(req.originalUrl, req.method, req.body);
-    if (cachedData) {
-      console.log(`Cache hit for ${req.method}: ${req.originalUrl}`);
-      res.setHeader('X-Cache', 'HIT');
-      res.setHeader('X-Cache-From', 'SQLite-Index');
-      res.setHeader('Content-Type', 'application/json');
-      return res.json(cachedData);
+    const entry = await cacheManager.loadEntry(req.originalUrl, req.method, req.body, cacheOptions);
+    if (entry) {
+      console.log(`Cache ${entry.stale ? 'stale hit' : 'hit'} for ${req.method}: ${req.originalUrl}`);
+      if (cacheManager.isNegativeStatus(entry.status)) {
+        // A cached 404/410 spares upstream a lookup that would fail again
+        cacheManager.recordRuleEvent(rule, 'negative');
+        cacheMetrics.record(req.originalUrl, 'hits');
+        recordTenantEvent('hits');
+      } else {
+        cacheManager.recordRuleEvent(rule, entry.stale ? 'stale' : 'hits');
+        cacheMetrics.record(req.originalUrl, entry.stale ? 'stale' : 'hits');
+        recordTenantEvent(entry.stale ? 'stale' : 'hits');
+      }
+
+      // Serve the stale copy right away and refresh it from upstream
+      if (entry.stale) {
+        refreshInBackground(req, cacheOptions, entry);
+      }
+
+      return sendCachedEntry(req, res, entry);
     }
   } catch (error) {
     console.error('Cache middleware error:', error);
   }
 
-  // Add cache save function to response
-  res.saveToCache = async (data) => {
+  cacheManager.recordRuleEvent(rule, 'misses');
+  cacheMetrics.record(req.originalUrl, 'misses');
+  recordTenantEvent('misses');
+  req.cacheKey = cacheManager.getCacheKey(req.originalUrl, req.method, req.body, cacheOptions.vary);
+  req.cacheRule = rule;
+
+  // Replace the forwarded upstream validators with the ones later hits will carry
+  const setEntryHeaders = (data, headers, status) => {
+    setCacheHeaders(res, {
+      hash: cacheManager.getContentHash(Buffer.isBuffer(data) ? data : JSON.stringify(data)),
+      savedAt: Date.now(),
+      lastModified: headers?.['last-modified'],
+      expiresAt: cacheManager.getEntryExpiry(rule, status).expiresAt,
+      stale: false
+    });
+  };
+
+  // Add cache save function to response; headers and status are the upstream
+  // response's. Only 200s, and 404/410s while negative caching is on, are saved.
+  res.saveToCache = async (data, headers, status = 200) => {
+    if (!cacheManager.isCacheableStatus(rule, status)) {
+      return;
+    }
+
     try {
-      await cacheManager.save(req.originalUrl, data, req.method, req.body);
+      const saved = await cacheManager.save(req.originalUrl, data, req.method, req.body, { ...cacheOptions, headers, status });
       res.setHeader('X-Cache', 'MISS');
+
+      if (saved) {
+        setEntryHeaders(data, headers, status);
+      }
     } catch (error) {
       console.error('Failed to save to cache:', error);
     }
   };
 
+  // For a request that got a coalesced response: the request that made the
+  // upstream call saves it, this one only takes the headers the entry carries
+  res.setSharedCacheHeaders = (data, headers, status = 200) => {
+    if (cacheManager.isCacheableStatus(rule, status)) {
+      setEntryHeaders(data, headers, status);
+    }
+  };
+
   next();
 }
 
+// Send a cache entry loaded by CacheManager.loadEntry() as the response,
+// or 304 Not Modified when the client's copy is still current. The stored
+// status and headers are replayed; raw entries are sent as their original bytes.
+export function sendCachedEntry(req, res, entry) {
+  res.setHeader('X-Cache', entry.stale ? 'STALE' : 'HIT');
+  res.setHeader('X-Cache-From', entry.tier === 'memory' ? 'Memory' : cacheManager.storage.label);
+  res.setHeader('Content-Type', entry.raw ? 'application/octet-stream' : 'application/json; charset=utf-8');
+  Object.entries(entry.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+
+  // Send stored compressed bytes as-is when the client accepts that encoding
+  res.vary('Accept-Encoding');
+  const encoded = entry.encoded && req.acceptsEncodings(entry.encoded.codec) ? entry.encoded : null;
+  setCacheHeaders(res, entry, encoded?.codec);
+
+  const status = entry.status || 200;
+  if (status === 200 && req.method === 'GET' && isNotModified(req, entry)) {
+    return res.status(304).end();
+  }
+
+  res.status(status);
+  if (encoded) {
+    res.setHeader('Content-Encoding', encoded.codec);
+    return res.send(encoded.buffer);
+  }
+
+  return entry.raw ? res.send(entry.data) : res.json(entry.data);
+}
+
+// Last-Modified for an entry: upstream's when it sent one, otherwise when it was saved
+function getLastModified(entry) {
+  if (entry.lastModified) {
+    return entry.lastModified;
+  }
+  return entry.savedAt ? new Date(entry.savedAt).toUTCString() : null;
+}
+
+// ETag, Last-Modified and a Cache-Control max-age matching the entry's remaining
+// freshness. The ETag hashes the JSON; compressed bodies get a codec suffix so
+// each encoding has its own strong validator.
+function setCacheHeaders(res, entry, codec = null) {
+  if (entry.hash) {
+    res.setHeader('ETag', `"${entry.hash}${codec ? `-${codec}` : ''}"`);
+  }
+
+  const lastModified = getLastModified(entry);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified);
+  }
+
+  // Responses are per-login, so shared caches must not keep them; stale entries
+  // are served while a refresh runs and have to be revalidated on every use
+  const maxAge = entry.expiresAt ? Math.floor((entry.expiresAt - Date.now()) / 1000) : 0;
+  res.setHeader('Cache-Control', entry.stale || maxAge <= 0 ? 'private, no-cache' : `private, max-age=${maxAge}`);
+}
+
+// Whether the client's If-None-Match (or, without one, If-Modified-Since)
+// still matches the entry. Any encoding's ETag matches the same content.
+function isNotModified(req, entry) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return !!entry.hash && ifNoneMatch.split(',').some(tag => {
+      const value = tag.trim().replace(/^W\//, '').replace(/"/g, '');
+      return value === '*' || value.replace(/-(gzip|br)$/, '') === entry.hash;
+    });
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  const lastModified = Date.parse(getLastModified(entry));
+  return !isNaN(ifModifiedSince) && !isNaN(lastModified) &&
+    Math.floor(lastModified / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+// Run the upstream call for a cache miss once per cache key. Concurrent misses
+// for the same key wait for the first call and get its response with shared: true.
+export async function coalesceUpstream(req, res, makeRequest) {
+  if (!req.cacheKey) {
+    return { response: await makeRequest(), shared: false };
+  }
+
+  const { value: response, shared } = await upstreamFlights.do(req.cacheKey, () => timeUpstream(req.originalUrl, makeRequest()));
+
+  if (shared) {
+    console.log(`Coalesced ${req.method} ${req.originalUrl} onto in-flight upstream request`);
+    cacheManager.recordRuleEvent(req.cacheRule, 'coalesced');
+    res.setHeader('X-Cache', 'COALESCED');
+  }
+
+  return { response, shared };
+}
+
+// Record an upstream call's latency in the cache metrics, whether it succeeds or fails
+async function timeUpstream(url, request) {
+  const startedAt = Date.now();
+  try {
+    return await request;
+  } finally {
+    cacheMetrics.recordUpstream(url, Date.now() - startedAt);
+  }
+}
+
+// Re-fetch a stale entry from upstream without holding up the client response.
+// The request is conditional on the entry's validators, so an unchanged
+// resource comes back as a 304 and only the entry's freshness is renewed.
+function refreshInBackground(req, cacheOptions, entry) {
+  const { originalUrl: url, method, body } = req;
+  const cacheKey = cacheManager.getCacheKey(url, method, body, cacheOptions.vary);
+
+  if (pendingRefreshes.has(cacheKey) || !req.accessToken) {
+    return;
+  }
+  pendingRefreshes.add(cacheKey);
+
+  // The client's own validators describe its copy, not the cached entry
+  const headers = proxyService.buildHeaders(req, req.accessToken, true);
+  delete headers['if-none-match'];
+  delete headers['if-modified-since'];
+
+  timeUpstream(url, proxyService.makeRequest({
+    method,
+    url,
+    headers: { ...headers, ...cacheManager.getConditionalHeaders(entry) },
+    data: body,
+    responseType: 'arraybuffer'
+  }))
+    .then(async (response) => {
+      if (response.status === 304) {
+        await cacheManager.markRevalidated(url, method, body, { ...cacheOptions, headers: response.headers });
+      } else if (response.status === 200) {
+        const data = proxyService.parseBody(response);
+        await cacheManager.save(url, data, method, body, { ...cacheOptions, headers: response.headers });
+      } else {
+        console.warn(`Background refresh for ${method} ${url} returned ${response.status}, keeping stale entry`);
+      }
+    })
+    .catch((error) => {
+      console.error(`Background refresh failed for ${method} ${url}:`, error.message);
+    })
+    .finally(() => {
+      pendingRefreshes.delete(cacheKey);
+    });
+}
+
 // Initialize cache database on startup
 (async () => {
   try {
     await cacheManager.initializeDatabase();
     console.log('Cache database initialized successfully');
+    evictionWorker.start();
+    cacheMetrics.start();
   } catch (error) {
     console.error('Failed to initialize cache database:', error);
   }
@@ -52,4 +312,4 @@ function isApiRequest(req) {
          req.originalUrl.includes('/alldata/');
 }
 
-export { cacheManager };
\ No newline at end of file
+export { cacheManager, evictionWorker, cacheWarmer, cacheMetrics };
\ No newline at end of file
@@ -107,7 +107,8 @@ export const validateJWT = async (req, res, next) => {
           id: decoded.id,
           email: decoded.email,
           username: decoded.username,
-          licenseType: decoded.licenseType
+          licenseType: decoded.licenseType,
+          tenantId: decoded.tenantId
         };
 
         logger.warn('Auth server unavailable, using fallback JWT validation', {
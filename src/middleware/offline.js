@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import { cacheManager, sendCachedEntry } from './cache.js';
+import upstreamHealth from '../services/upstreamHealth.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Mark every response with X-Proxy-Offline while upstream is considered
+ * unreachable ("forced" when OFFLINE_MODE=on, "upstream-unreachable" otherwise).
+ */
+export function markOffline(req, res, next) {
+  if (upstreamHealth.isOffline()) {
+    res.setHeader('X-Proxy-Offline', upstreamHealth.getReason());
+  }
+  next();
+}
+
+// Requests that fall back after a failed upstream call are marked even before
+// enough failures have been counted to switch the proxy offline
+function setOfflineHeader(res) {
+  res.setHeader('X-Proxy-Offline', upstreamHealth.isOffline() ? upstreamHealth.getReason() : 'upstream-unreachable');
+}
+
+/**
+ * Structured error for requests that cannot be answered without upstream
+ */
+export function sendOfflineError(req, res) {
+  const retryAfter = upstreamHealth.getRetryAfter();
+
+  setOfflineHeader(res);
+  if (retryAfter) {
+    res.setHeader('Retry-After', retryAfter);
+  }
+
+  return res.status(503).json({
+    error: 'AllData is unreachable and this response is not cached',
+    code: 'OFFLINE_NOT_CACHED',
+    offline: true,
+    method: req.method,
+    url: req.originalUrl,
+    retryAfter
+  });
+}
+
+/**
+ * Answer a proxied request from the cache only. Entries past their hard
+ * expiry are still served (as STALE) since nothing fresher is available.
+ */
+export async function serveOffline(req, res) {
+  setOfflineHeader(res);
+
+  const rule = cacheManager.getRule(req.originalUrl);
+  res.setHeader('X-Cache-Rule', rule.name);
+
+  const vary = cacheManager.getVary(rule, req);
+  if (['GET', 'POST'].includes(req.method) && rule.cache && vary !== undefined) {
+    const entry = await cacheManager.loadEntry(req.originalUrl, req.method, req.body, {
+      vary,
+      allowExpired: true
+    });
+
+    if (entry) {
+      logger.info(`Offline: served ${req.method} ${req.originalUrl} from cache`);
+      cacheManager.recordRuleEvent(rule, entry.stale ? 'stale' : 'hits');
+      return sendCachedEntry(req, res, entry);
+    }
+  }
+
+  logger.warn(`Offline: ${req.method} ${req.originalUrl} is not cached`);
+  return sendOfflineError(req, res);
+}
+
+/**
+ * Serve the stored React app shell (public/index.html) for app routes
+ */
+export function serveOfflineApp(req, res) {
+  const indexPath = path.join(config.paths.public, 'index.html');
+
+  if (!fs.existsSync(indexPath)) {
+    return sendOfflineError(req, res);
+  }
+
+  setOfflineHeader(res);
+  res.setHeader('Cache-Control', 'no-cache');
+  return res.sendFile(indexPath);
+}
\ No newline at end of file
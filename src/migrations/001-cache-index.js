@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+
+// cache_index columns as of this migration; later columns are added by their own migrations
+const COLUMNS = {
+  id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  cache_key: 'TEXT NOT NULL UNIQUE',
+  url: 'TEXT NOT NULL',
+  normalized_url: 'TEXT NOT NULL',
+  method: 'TEXT NOT NULL',
+  body: 'TEXT',
+  vary: 'TEXT',
+  file_path: 'TEXT NOT NULL',
+  size: 'INTEGER NOT NULL',
+  created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+  accessed_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+  access_count: 'INTEGER DEFAULT 1',
+  expires_at: 'INTEGER',
+  stale_until: 'INTEGER',
+  codec: 'TEXT',
+  etag: 'TEXT',
+  last_modified: 'TEXT',
+  cache_control: 'TEXT',
+  status: 'INTEGER DEFAULT 200',
+  headers: 'TEXT',
+  raw: 'INTEGER DEFAULT 0',
+  tenant: 'TEXT'
+};
+
+const TABLE_SQL = `
+  CREATE TABLE cache_index (
+    ${Object.entries(COLUMNS).map(([name, type]) => `${name} ${type}`).join(',\n    ')}
+  )
+`;
+
+const INDEXES = ['normalized_url', 'method', 'created_at', 'accessed_at', 'size', 'stale_until', 'file_path', 'tenant'];
+
+// Cache key of a row from a table that predates the cache_key column, derived
+// the way CacheManager.getCacheKey() did when this migration was written
+function legacyCacheKey(row) {
+  let cacheString = `${row.method}:${row.normalized_url}`;
+  if (row.method === 'POST' && row.body) {
+    cacheString += `:${row.body}`;
+  }
+  if (row.vary) {
+    cacheString += `|${row.vary}`;
+  }
+  return crypto.createHash('md5').update(cacheString).digest('hex');
+}
+
+/**
+ * Create cache_index, or bring a table written by a version from before
+ * schema_migrations existed up to the columns above. SQLite cannot add the
+ * UNIQUE cache_key column in place, so older tables are copied into a new
+ * one, keeping the newest row per cache key.
+ */
+export default {
+  version: 1,
+  name: 'cache-index',
+
+  async up(db, context) {
+    const columns = (await db.all('PRAGMA table_info(cache_index)')).map(column => column.name);
+
+    if (columns.length === 0) {
+      await db.run(TABLE_SQL);
+    } else if (Object.keys(COLUMNS).some(name => !columns.includes(name))) {
+      const copied = [...new Set([...columns.filter(name => name !== 'id' && name in COLUMNS), 'cache_key'])];
+
+      await db.run('ALTER TABLE cache_index RENAME TO cache_index_old');
+      await db.run(TABLE_SQL);
+
+      const rows = await db.all('SELECT * FROM cache_index_old ORDER BY id DESC');
+      const insertSQL = `
+        INSERT OR IGNORE INTO cache_index (${copied.join(', ')})
+        VALUES (${copied.map(() => '?').join(', ')})
+      `;
+      for (const row of rows) {
+        const cacheKey = row.cache_key || legacyCacheKey(row);
+        await db.run(insertSQL, copied.map(name => (name === 'cache_key' ? cacheKey : row[name])));
+      }
+
+      await db.run('DROP TABLE cache_index_old');
+      console.log(`Rebuilt cache index table (${rows.length} rows)`);
+    }
+
+    for (const column of INDEXES) {
+      await db.run(`CREATE INDEX IF NOT EXISTS idx_${column} ON cache_index(${column})`);
+    }
+
+    // Rows written before expiry tracking are aged from their creation time
+    await db.run(`
+      UPDATE cache_index
+      SET expires_at = CAST(strftime('%s', created_at) AS INTEGER) * 1000 + ?,
+          stale_until = CAST(strftime('%s', created_at) AS INTEGER) * 1000 + ?
+      WHERE expires_at IS NULL
+    `, [context.ttl * 1000, (context.ttl + context.staleTtl) * 1000]);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+/**
+ * Tags attached at save time, keyed by cache_key so they survive index rebuilds.
+ */
+export default {
+  version: 2,
+  name: 'cache-tags',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS cache_tags (
+        cache_key TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (cache_key, tag)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_cache_tags_tag ON cache_tags(tag)');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Per-minute counters written by CacheMetrics; minute is the bucket start in ms.
+ */
+export default {
+  version: 3,
+  name: 'cache-metrics',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS cache_metrics (
+        minute INTEGER NOT NULL,
+        prefix TEXT NOT NULL,
+        hits INTEGER DEFAULT 0,
+        stale INTEGER DEFAULT 0,
+        misses INTEGER DEFAULT 0,
+        saves INTEGER DEFAULT 0,
+        evictions INTEGER DEFAULT 0,
+        upstream_requests INTEGER DEFAULT 0,
+        upstream_time INTEGER DEFAULT 0,
+        upstream_max INTEGER DEFAULT 0,
+        PRIMARY KEY (minute, prefix)
+      )
+    `);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+import sqlite3 from 'sqlite3';
+import { promisify } from 'util';
+import cacheIndex from './001-cache-index.js';
+import cacheTags from './002-cache-tags.js';
+import cacheMetrics from './003-cache-metrics.js';
+
+/**
+ * Schema migrations for cache-index.db, in version order. Each one exports
+ * { version, name, up(db, context) } where db has promisified run/get/all and
+ * context carries { ttl, staleTtl }. Migrations are never edited once
+ * released: a schema change is a new file with the next version number.
+ */
+export const MIGRATIONS = [cacheIndex, cacheTags, cacheMetrics];
+
+/**
+ * Applies pending MIGRATIONS and records them in schema_migrations. Each
+ * migration runs in its own IMMEDIATE transaction, so a failure leaves the
+ * database at the previous version and two processes starting together do not
+ * apply the same migration twice. Before changing an existing database the
+ * runner can copy it to cache-index.db.v<version>-<time>.bak.
+ */
+export class Migrator {
+  // db: { run, get, all } (promisified) and optionally close
+  constructor(db, options = {}) {
+    this.db = db;
+    this.dbPath = options.dbPath;
+    this.context = options.context || {};
+    this.backup = options.backup ?? true;
+    this.migrations = options.migrations || MIGRATIONS;
+  }
+
+  get latestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  async ensureTable() {
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getApplied() {
+    await this.ensureTable();
+    return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  // Applied and pending migrations
+  async status() {
+    const applied = await this.getApplied();
+    const appliedVersions = new Set(applied.map(row => row.version));
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latest: this.latestVersion,
+      applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+      pending: this.migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name }) => ({ version, name }))
+    };
+  }
+
+  // Apply every pending migration; options.backup overrides the constructor's setting
+  async migrate(options = {}) {
+    const status = await this.status();
+
+    if (status.current > this.latestVersion) {
+      throw new Error(`cache-index.db is at schema version ${status.current}, newer than this build (${this.latestVersion})`);
+    }
+
+    if (status.pending.length === 0) {
+      return { from: status.current, to: status.current, applied: [], backupPath: null };
+    }
+
+    const backupPath = (options.backup ?? this.backup) ? await this.createBackup(status.current) : null;
+    const applied = [];
+
+    for (const migration of this.migrations.filter(({ version }) => status.pending.some(p => p.version === version))) {
+      await this.db.run('BEGIN IMMEDIATE');
+      try {
+        // Another process may have applied it while this one waited for the lock
+        if (await this.db.get('SELECT 1 FROM schema_migrations WHERE version = ?', [migration.version])) {
+          await this.db.run('COMMIT');
+          continue;
+        }
+
+        await migration.up(this.db, this.context);
+        await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        await this.db.run('COMMIT');
+      } catch (error) {
+        await this.db.run('ROLLBACK');
+        throw new Error(`Cache index migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+
+      console.log(`Applied cache index migration ${migration.version} (${migration.name})`);
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return { from: status.current, to: this.latestVersion, applied, backupPath };
+  }
+
+  // Copy the database before migrating it; nothing is copied for a new, empty database
+  async createBackup(version) {
+    const existing = await this.db.get('SELECT 1 FROM sqlite_master WHERE type = \'table\' AND name = \'cache_index\'');
+    if (!existing || !this.dbPath) {
+      return null;
+    }
+
+    const backupPath = `${this.dbPath}.v${version}-${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+    await this.db.run('VACUUM INTO ?', [backupPath]);
+    console.log(`Backed up cache index database to ${backupPath}`);
+    return backupPath;
+  }
+
+  async close() {
+    if (this.db.close) {
+      await this.db.close();
+    }
+  }
+}
+
+// A Migrator on its own connection to a cache-index.db file, for running
+// migrations without starting a CacheManager
+export async function openMigrator(dbPath, options = {}) {
+  const db = await new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(dbPath, (err) => (err ? reject(err) : resolve(handle)));
+  });
+
+  return new Migrator({
+    run: promisify(db.run.bind(db)),
+    get: promisify(db.get.bind(db)),
+    all: promisify(db.all.bind(db)),
+    close: () => new Promise((resolve) => db.close(() => resolve()))
+  }, { ...options, dbPath });
+}
+
+export default Migrator;
\ No newline at end of file
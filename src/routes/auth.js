@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import AuthManager from '../authManager.js';
-import { authManager } from '../middleware/auth.js';
+import { accountPool } from '../middleware/auth.js';
+import { authenticate } from '../middleware/jwtAuth.js';
 
 const router = Router();
 
@@ -16,7 +17,8 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const tempAuthManager = new AuthManager(email, password);
+    // Not one of the pool's accounts, so its token is not written to a cache file
+    const tempAuthManager = new AuthManager(email, password, { tokenCacheFile: null });
     const token = await tempAuthManager.login();
 
     res.json({
@@ -31,10 +33,10 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Refresh token endpoint
+// Refresh token endpoint; body.account picks a pool account (default: the first)
 router.post('/refresh', async (req, res) => {
   try {
-    const token = await authManager.refreshToken();
+    const token = await accountPool.refreshToken(req.body?.account);
     res.json({
       success: true,
       accessToken: token
@@ -50,7 +52,7 @@ router.post('/refresh', async (req, res) => {
 // Test token endpoint
 router.get('/test-token', async (req, res) => {
   try {
-    const accessToken = await authManager.getValidToken();
+    const accessToken = await accountPool.getValidToken();
     const axios = (await import('axios')).default;
 
     const response = await axios.get('https://data-eu.partnership.workshopdiag.com/', {
@@ -77,4 +79,15 @@ router.get('/test-token', async (req, res) => {
   }
 });
 
+// Upstream account pool: strategy and per-account load, failures and cooldowns
+router.get('/accounts', authenticate, (req, res) => {
+  try {
+    res.json(accountPool.getStatus());
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,8 +1,17 @@
 import { Router } from 'express';
-import { cacheManager } from '../middleware/cache.js';
+import { cacheManager, evictionWorker, cacheWarmer, cacheMetrics } from '../middleware/cache.js';
+import { accountPool } from '../middleware/auth.js';
+import proxyService from '../services/proxy.js';
+import { diffJson } from '../utils/jsonDiff.js';
 
 const router = Router();
 
+// Bucket sizes for /stats/timeseries, in minutes per unit
+const BUCKET_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+// Most points one timeseries request may ask for, per prefix
+const MAX_TIMESERIES_POINTS = 2000;
+
 // Revalidate cache for a specific path
 router.post('/revalidate', async (req, res) => {
   try {
@@ -23,11 +32,115 @@ router.post('/revalidate', async (req, res) => {
   }
 });
 
+// Purge entries by { prefix, glob, regex, methods, tags, tenant, negative, dryRun }; an
+// entry must match every criterion given, and any one of the tags
+router.post('/purge', async (req, res) => {
+  try {
+    const { prefix, glob, regex, methods, method, tags, tenant, negative, dryRun } = req.body || {};
+
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+      return res.status(400).json({
+        error: 'tags must be an array of strings'
+      });
+    }
+
+    const result = await cacheManager.purge({
+      prefix,
+      glob,
+      regex,
+      methods: methods || method,
+      tags,
+      tenant,
+      negative: !!negative,
+      dryRun: !!dryRun
+    });
+    if (!result.success) {
+      // Missing or invalid criteria are rejected before anything is matched
+      return res.status(result.matchedCount === undefined ? 400 : 500).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Tags in use with their entry counts (?prefix=vehicle:&limit=)
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await cacheManager.listTags(req.query);
+    res.json({ tags });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 // Get cache statistics
 router.get('/stats', async (req, res) => {
   try {
     const stats = await cacheManager.getStats();
-    res.json(stats);
+    res.json({
+      ...stats,
+      eviction: evictionWorker.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Per-minute counters summed into buckets, one series per path prefix, for
+// charting hit ratio and upstream latency:
+// ?from=&to= (ISO date or ms, default the last hour), bucket=1m|15m|1h|1d, prefix=/alldata/vehicle
+router.get('/stats/timeseries', async (req, res) => {
+  try {
+    if (!cacheMetrics.enabled) {
+      return res.status(404).json({
+        error: 'Cache metrics are disabled (CACHE_METRICS_RETENTION=0)'
+      });
+    }
+
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 60 * 60 * 1000;
+    const bucket = req.query.bucket || '1m';
+    const bucketMatch = String(bucket).match(/^(\d+)([mhd])$/);
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({
+        error: 'from and to must be ISO dates or timestamps in ms, with from before to'
+      });
+    }
+
+    if (!bucketMatch || Number(bucketMatch[1]) < 1) {
+      return res.status(400).json({
+        error: 'bucket must be a number of minutes, hours or days, e.g. 5m, 1h, 1d'
+      });
+    }
+
+    const bucketMs = Number(bucketMatch[1]) * BUCKET_UNITS[bucketMatch[2]] * 60 * 1000;
+    if ((to - from) / bucketMs > MAX_TIMESERIES_POINTS) {
+      return res.status(400).json({
+        error: `Range covers more than ${MAX_TIMESERIES_POINTS} buckets; use a larger bucket`
+      });
+    }
+
+    const series = await cacheMetrics.getTimeseries({
+      from,
+      to,
+      bucketMs,
+      prefix: req.query.prefix || null
+    });
+    res.json({
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      bucket,
+      retentionDays: cacheMetrics.retention,
+      series
+    });
   } catch (error) {
     res.status(500).json({
       error: error.message
@@ -35,6 +148,11 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// A query time given as an ISO date or a timestamp in ms
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
 // Clear all cache
 router.delete('/', async (req, res) => {
   try {
@@ -47,24 +165,193 @@ router.delete('/', async (req, res) => {
   }
 });
 
+// Look up the cache entry for a request. POST entries are keyed on their body,
+// passed as JSON in ?body=... or in the body of POST /entry
+async function describeRequestEntry(req, res, { url, method = 'GET', body = null, vary = null }) {
+  if (!url) {
+    return res.status(400).json({
+      error: 'URL parameter is required'
+    });
+  }
+
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      // Not JSON; keyed as the raw string
+    }
+  }
+
+  const entry = await cacheManager.findEntry(url, method.toUpperCase(), body, { vary });
+  res.json({
+    url,
+    method: method.toUpperCase(),
+    exists: !!entry,
+    normalizedUrl: cacheManager.normalizeUrl(url),
+    entry
+  });
+}
+
 // Get specific cache entry info
 router.get('/entry', async (req, res) => {
   try {
-    const { url, method = 'GET' } = req.query;
+    await describeRequestEntry(req, res, req.query);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
 
-    if (!url) {
-      return res.status(400).json({
-        error: 'URL parameter is required'
+router.post('/entry', async (req, res) => {
+  try {
+    await describeRequestEntry(req, res, req.body || {});
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Search cached entries: ?q=&method=&tag=&tenant=&minSize=&maxSize=&minAge=&maxAge=
+// &minAccessCount=&maxAccessCount=&status=&sort=&order=&page=&limit=
+router.get('/entries', async (req, res) => {
+  try {
+    const result = await cacheManager.listEntries(req.query);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Get an entry's metadata and stored payload (?payload=false for metadata only)
+router.get('/entries/:id', async (req, res) => {
+  try {
+    const entry = await cacheManager.getEntryById(req.params.id, {
+      includePayload: req.query.payload !== 'false'
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Cache entry not found'
       });
     }
 
-    const exists = await cacheManager.exists(url, method);
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Fetch an entry live from upstream and compare it with the cached payload.
+// With { "save": true } a successful live response replaces the cached one.
+router.post('/entries/:id/compare', async (req, res) => {
+  try {
+    const entry = await cacheManager.getEntryById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Cache entry not found'
+      });
+    }
+
+    let body = entry.body;
+    try {
+      body = body ? JSON.parse(body) : null;
+    } catch {
+      // Raw string body
+    }
+
+    const accessToken = await accountPool.getValidToken();
+    const startedAt = Date.now();
+    const response = await proxyService.makeRequest({
+      method: entry.method,
+      url: entry.url,
+      headers: proxyService.buildHeaders({ headers: { accept: 'application/json' } }, accessToken, true),
+      data: body,
+      responseType: 'arraybuffer'
+    });
+
+    const live = response.status === 200 ? proxyService.parseBody(response) : null;
+    let differences = [];
+    if (response.status === 200) {
+      differences = entry.raw || Buffer.isBuffer(live) ? compareRaw(entry, live) : diffJson(entry.data, live);
+    }
+
+    let saved = false;
+    if (req.body?.save && response.status === 200) {
+      saved = await cacheManager.save(entry.url, live, entry.method, body, { vary: entry.vary, tenant: entry.tenant, headers: response.headers });
+    }
+
     res.json({
-      url,
-      method,
-      exists,
-      normalizedUrl: cacheManager.normalizeUrl(url)
+      id: entry.id,
+      url: entry.url,
+      method: entry.method,
+      status: entry.status,
+      cachedAt: entry.created_at,
+      // Per-user entries are fetched with the proxy's own AllData account
+      partitioned: !!entry.vary,
+      upstream: {
+        status: response.status,
+        durationMs: Date.now() - startedAt
+      },
+      identical: response.status === 200 && differences.length === 0,
+      differences,
+      saved
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Raw (non-JSON) bodies are compared as a whole; they have no paths to report
+function compareRaw(entry, live) {
+  const liveData = Buffer.isBuffer(live) ? live.toString(entry.dataEncoding || 'base64') : live;
+  return liveData === entry.data ? [] : [{ path: '$', change: 'changed' }];
+}
+
+// Delete a single entry by id
+router.delete('/entries/:id', async (req, res) => {
+  try {
+    const deleted = await cacheManager.deleteEntryById(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Cache entry not found'
+      });
+    }
+
+    res.json({ id: Number(req.params.id), deleted: true });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Check the index against stored payloads and report problems
+router.get('/verify', async (req, res) => {
+  try {
+    const result = await cacheManager.verify();
+    res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
     });
+  }
+});
+
+// Same check; with { "fix": true } problems are repaired as they are found
+router.post('/verify', async (req, res) => {
+  try {
+    const result = await cacheManager.verify({ fix: !!req.body?.fix });
+    res.status(result.success ? 200 : 500).json(result);
   } catch (error) {
     res.status(500).json({
       error: error.message
@@ -84,4 +371,136 @@ router.post('/cleanup', async (req, res) => {
   }
 });
 
+// Download a bundle of cache entries (gzip NDJSON), optionally filtered by
+// ?prefix=/alldata/... and ?maxAge=<seconds since saved>
+router.get('/export', async (req, res) => {
+  try {
+    const { prefix, maxAge, includeExpired } = req.query;
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="alldata-cache-${date}.ndjson.gz"`);
+
+    const result = await cacheManager.exportBundle(res, {
+      prefix,
+      maxAge: maxAge ? parseInt(maxAge, 10) : null,
+      includeExpired: includeExpired === 'true'
+    });
+
+    if (!result.success) {
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        error: result.message
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Load a bundle produced by /export; the request body is the raw bundle
+router.post('/import', async (req, res) => {
+  try {
+    if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+      return res.status(400).json({
+        error: 'Send the bundle as the raw request body (Content-Type: application/gzip)'
+      });
+    }
+
+    const result = await cacheManager.importBundle(req, {
+      overwrite: req.query.overwrite === 'true'
+    });
+    res.status(result.success ? 200 : 422).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Start a cache warm job, or resume one with { resume: jobId }
+router.post('/warm', async (req, res) => {
+  try {
+    const { urls, seed, resume, dryRun, concurrency, maxDepth, maxUrls, scope } = req.body || {};
+
+    if (!resume && !seed && !(Array.isArray(urls) && urls.length > 0)) {
+      return res.status(400).json({
+        error: 'urls (array), seed or resume is required'
+      });
+    }
+
+    if (resume && !(await cacheWarmer.getJob(resume))) {
+      return res.status(404).json({
+        error: 'Warm job not found'
+      });
+    }
+
+    if (resume && cacheWarmer.isRunning(resume)) {
+      return res.status(409).json({
+        error: `Warm job ${resume} is already running`
+      });
+    }
+
+    const job = await cacheWarmer.start({ urls, seed, resume, dryRun, concurrency, maxDepth, maxUrls, scope });
+    res.status(202).json(job);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// List warm jobs, newest first
+router.get('/warm', async (req, res) => {
+  try {
+    const jobs = await cacheWarmer.listJobs();
+    res.json({ jobs });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Get progress of a warm job
+router.get('/warm/:id', async (req, res) => {
+  try {
+    const job = await cacheWarmer.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Warm job not found'
+      });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Cancel a running warm job; it can be resumed later
+router.delete('/warm/:id', async (req, res) => {
+  try {
+    if (!cacheWarmer.cancel(req.params.id)) {
+      return res.status(404).json({
+        error: 'No running warm job with that id'
+      });
+    }
+
+    res.json({ id: req.params.id, cancelled: true });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -7,9 +7,9 @@ import compression from 'compression';
 import helmet from 'helmet';
 
 import { config, validateConfig } from './config/index.js';
-import { authMiddleware, authManager } from './middleware/auth.js';
+import { authMiddleware, accountPool } from './middleware/auth.js';
 import { authenticate } from './middleware/jwtAuth.js';
-import { cacheMiddleware } from './middleware/cache.js';
+import { cacheMiddleware, coalesceUpstream, cacheMetrics } from './middleware/cache.js';
 import authRoutes from './routes/auth.js';
 import cacheRoutes from './routes/cache.js';
 import proxyService from './services/proxy.js';
@@ -23,6 +23,8 @@ import {
 import { replaceExternalLinks } from './utils/htmlProcessor.js';
 import logger from './utils/logger.js';
 import { handlePublicAssets, isPublicPath } from './middleware/publicAssets.js';
+import { markOffline, serveOffline, serveOfflineApp, sendOfflineError } from './middleware/offline.js';
+import upstreamHealth from './services/upstreamHealth.js';
 
 // Validate configuration on startup
 try {
@@ -59,6 +61,9 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Flag responses while upstream is unreachable
+app.use(markOffline);
+
 // Serve static assets without authentication
 app.use(handlePublicAssets);
 
@@ -71,7 +76,22 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    upstream: upstreamHealth.getStatus()
+  });
+});
+
+// Upstream token state per account (expiry, background refresh); authenticated
+// since it lists the upstream accounts
+app.get('/api/health/auth', authenticate, (req, res) => {
+  const pool = accountPool.getStatus();
+  const healthy = pool.accounts.every(account => account.token.state === 'valid' && !account.token.lastRefreshError);
+
+  res.json({
+    status: healthy ? 'ok' : 'degraded',
+    timestamp: new Date().toISOString(),
+    ...pool,
+    upstreamAuthFailures: proxyService.getAuthRetryStats()
   });
 });
 
@@ -91,9 +111,17 @@ async function handleReactRoute(req, res) {
 
     if (!isAuthenticated) return;
 
+    // Offline: the stored app shell can still load data from the cache
+    if (!upstreamHealth.tryUpstream()) {
+      return serveOfflineApp(req, res);
+    }
+
     // Then get AllData access token for proxy
-    const accessToken = await authMiddleware(req, res, () => {});
-    if (!accessToken) return;
+    await authMiddleware(req, res, () => {});
+    if (req.upstreamUnavailable) {
+      return serveOfflineApp(req, res);
+    }
+    if (!req.accessToken) return;
 
     logger.info(`Fetching React app for route: ${req.path} (user: ${req.user.email})`);
 
@@ -147,6 +175,9 @@ async function handleReactRoute(req, res) {
     }
   } catch (error) {
     logger.error('Error handling React route:', error);
+    if (upstreamHealth.shouldServeOffline(error)) {
+      return serveOfflineApp(req, res);
+    }
     res.status(500).json({ error: 'Failed to load application' });
   }
 }
@@ -202,13 +233,18 @@ async function handleStaticAsset(req, res) {
       });
     }
     
+    // Offline: only assets already stored in public/ can be served
+    if (!upstreamHealth.tryUpstream()) {
+      return sendOfflineError(req, res);
+    }
+
     // Asset doesn't exist locally, download from AllData with authentication
     // Note: AllData requires authentication even for static assets like CSS/JS
     logger.info(`Downloading static asset with auth: ${req.path}`);
     
     try {
       // Get access token
-      const accessToken = await authManager.getValidToken();
+      const accessToken = await accountPool.getValidToken();
       
       // Download with authentication
       const response = await proxyService.makeRequest({
@@ -317,6 +353,9 @@ async function handleStaticAsset(req, res) {
         stack: error.stack,
         url: req.originalUrl
       });
+      if (upstreamHealth.shouldServeOffline(error)) {
+        return sendOfflineError(req, res);
+      }
       return res.status(500).send('Failed to download asset');
     }
   } catch (error) {
@@ -341,8 +380,16 @@ async function proxyRequest(req, res) {
 
     if (!isAuthenticated) return;
 
+    // Offline: answer from the cache without trying upstream
+    if (!upstreamHealth.tryUpstream()) {
+      return serveOffline(req, res);
+    }
+
     // Then get AllData access token for proxy
     await authMiddleware(req, res, () => {});
+    if (req.upstreamUnavailable) {
+      return serveOffline(req, res);
+    }
     if (!req.accessToken) return;
 
     // Apply cache middleware after authentication
@@ -366,13 +413,15 @@ async function proxyRequest(req, res) {
       url: req.originalUrl,
       headers: proxyService.buildHeaders(req, req.accessToken, isApiRequest),
       data: req.body,
-      responseType: isApiRequest ? 'json' : 'stream'
+      responseType: isApiRequest ? 'arraybuffer' : 'stream'
     };
 
-    // Make proxy request
-    const response = await proxyService.makeRequest(requestOptions);
+    // Make proxy request; concurrent API misses for the same cache key share one upstream call
+    const { response, shared } = isApiRequest
+      ? await coalesceUpstream(req, res, () => proxyService.makeRequest(requestOptions))
+      : { response: await proxyService.makeRequest(requestOptions), shared: false };
     
-    logger.info(`Proxy response: ${response.status} for ${req.originalUrl}`);
+    logger.info(`Proxy response: ${response.status} for ${req.originalUrl}${shared ? ' (coalesced)' : ''}`);
 
     // Set response status
     res.status(response.status);
@@ -412,10 +461,22 @@ async function proxyRequest(req, res) {
       
       // Send to client
       stream2.pipe(res);
-    } else if (isApiRequest && response.status === 200 && res.saveToCache) {
-      // Save to cache for API requests
-      await res.saveToCache(response.data);
-      res.json(response.data);
+    } else if (isApiRequest) {
+      // JSON bodies are parsed; anything else (HTML, XML, PDF...) is kept as bytes
+      const data = proxyService.parseBody(response);
+
+      // Save to cache for API requests; the request that made the upstream call saves for everyone
+      if (shared) {
+        res.setSharedCacheHeaders(data, response.headers, response.status);
+      } else if (res.saveToCache) {
+        await res.saveToCache(data, response.headers, response.status);
+      }
+
+      if (Buffer.isBuffer(data)) {
+        res.send(data);
+      } else {
+        res.json(data);
+      }
     } else {
       // Handle other responses
       if (response.data && typeof response.data.pipe === 'function') {
@@ -431,6 +492,11 @@ async function proxyRequest(req, res) {
       stack: config.server.env === 'development' ? error.stack : undefined
     });
     
+    // Upstream unreachable: fall back to the cache for this request
+    if (upstreamHealth.shouldServeOffline(error) && !res.headersSent) {
+      return serveOffline(req, res);
+    }
+
     res.status(500).json({ 
       error: 'Proxy error', 
       message: error.message,
@@ -484,8 +550,10 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+  server.close(async () => {
     logger.info('HTTP server closed');
+    await cacheMetrics.stop();
+    accountPool.stop();
     process.exit(0);
   });
 });
@@ -0,0 +1,134 @@
+import logger from '../utils/logger.js';
+
+// Counters kept per minute and path prefix
+const COUNTERS = ['hits', 'stale', 'misses', 'saves', 'evictions'];
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Per-minute cache counters for charting hit ratio over time. Hits, stale
+ * serves, misses and upstream latency are recorded by the cache middleware;
+ * saves and evictions come from CacheManager's save and evict events.
+ * Counters are grouped by the first prefixDepth segments of the request path
+ * (/alldata/vehicle/123 -> /alldata/vehicle), kept in memory and added to the
+ * cache_metrics table every flushInterval. Rows older than the retention
+ * window are dropped on each flush.
+ */
+class CacheMetrics {
+  constructor(cacheManager, options = {}) {
+    this.cacheManager = cacheManager;
+    this.retention = options.retention ?? 7; // days, 0 disables metrics
+    this.prefixDepth = options.prefixDepth || 2;
+    this.flushInterval = options.flushInterval || MINUTE;
+    this.buckets = new Map(); // "minute|prefix" -> counters not yet written
+    this.timer = null;
+    this.flushing = null;
+    this.onSave = ({ url }) => this.record(url, 'saves');
+    this.onEvict = ({ url }) => this.record(url, 'evictions');
+  }
+
+  get enabled() {
+    return this.retention > 0;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    this.cacheManager.on('save', this.onSave);
+    this.cacheManager.on('evict', this.onEvict);
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+    this.timer.unref();
+
+    logger.info(`Cache metrics enabled (${this.retention} day retention)`);
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.cacheManager.off('save', this.onSave);
+    this.cacheManager.off('evict', this.onEvict);
+    await this.flush();
+  }
+
+  // Path prefix a URL is counted under
+  getPrefix(url) {
+    const pathname = (url || '/').split('?')[0];
+    const segments = pathname.split('/').filter(segment => segment);
+    return '/' + segments.slice(0, this.prefixDepth).join('/');
+  }
+
+  getBucket(url) {
+    const minute = Math.floor(Date.now() / MINUTE) * MINUTE;
+    const prefix = this.getPrefix(url);
+    const key = `${minute}|${prefix}`;
+
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        minute,
+        prefix,
+        hits: 0,
+        stale: 0,
+        misses: 0,
+        saves: 0,
+        evictions: 0,
+        upstreamRequests: 0,
+        upstreamTime: 0,
+        upstreamMax: 0
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  // Count one event (hits, stale, misses, saves, evictions) for a URL
+  record(url, counter) {
+    if (this.enabled && COUNTERS.includes(counter)) {
+      this.getBucket(url)[counter]++;
+    }
+  }
+
+  // Record how long an upstream request for a URL took
+  recordUpstream(url, durationMs) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const bucket = this.getBucket(url);
+    bucket.upstreamRequests++;
+    bucket.upstreamTime += durationMs;
+    bucket.upstreamMax = Math.max(bucket.upstreamMax, durationMs);
+  }
+
+  // Write pending counters to SQLite and drop rows past the retention window
+  async flush() {
+    if (this.flushing) {
+      await this.flushing;
+    }
+    if (!this.enabled || !this.cacheManager.db) {
+      return;
+    }
+
+    const pending = [...this.buckets.values()];
+    this.buckets.clear();
+
+    this.flushing = this.cacheManager.writeMetrics(pending, Date.now() - this.retention * 24 * 60 * MINUTE)
+      .catch((error) => {
+        logger.error('Failed to write cache metrics:', { error: error.message });
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+    await this.flushing;
+  }
+
+  // Counters between from and to (ms) summed into buckets of bucketMs, per prefix
+  async getTimeseries(options = {}) {
+    await this.flush();
+    return this.cacheManager.getMetrics(options);
+  }
+}
+
+export default CacheMetrics;
\ No newline at end of file
@@ -0,0 +1,435 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import proxyService from './proxy.js';
+import { isStaticAsset } from '../utils/assets.js';
+import logger from '../utils/logger.js';
+
+// AllData API paths referenced anywhere inside a JSON string value
+const LINK_PATTERN = /\/alldata\/[^\s"'<>()\\]+/g;
+
+// Paths the proxy serves as the React app rather than as cacheable JSON
+const REACT_ROUTE_PATTERN = /^\/alldata\/vehicle\/(home|search|details)(\/|$)/;
+
+const MAX_REPORTED_ERRORS = 20;
+const MAX_REPORTED_PLAN = 200;
+
+// Job state is written at most this often while running, or after this many URLs
+const PERSIST_INTERVAL = 5000;
+const PERSIST_BATCH = 100;
+
+/**
+ * Pre-loads the cache ahead of traffic. A warm job starts from a list of
+ * AllData URLs (or a seed vehicle path), fetches each one through
+ * proxyService.makeRequest and saves it with CacheManager, then follows the
+ * /alldata/ links found in the JSON, breadth first, up to maxDepth and maxUrls.
+ *
+ * Entries that are already fresh are not fetched again; their cached payload
+ * is only used to discover further links. Stale entries are fetched
+ * conditionally, so unchanged ones only get their freshness renewed. A dry
+ * run makes no upstream calls and reports what would be fetched. Job state is
+ * written to <cacheDir>/warm-jobs/<id>.json every few seconds (or every
+ * PERSIST_BATCH URLs) and when the job stops, so an interrupted or cancelled
+ * job can be resumed close to where it stopped.
+ */
+class CacheWarmer extends EventEmitter {
+  constructor(cacheManager, options = {}) {
+    super();
+    this.cacheManager = cacheManager;
+    this.jobsDir = options.jobsDir;
+    this.getAccessToken = options.getAccessToken;
+    this.defaults = {
+      concurrency: options.concurrency || 4,
+      maxDepth: options.maxDepth ?? 3,
+      maxUrls: options.maxUrls || 500,
+      scope: options.scope || ['/alldata/']
+    };
+    this.jobs = new Map(); // jobs started by this process, by id
+    this.checkpoints = new WeakMap(); // job -> { at, processed } of its last write
+  }
+
+  // Start a new job ({ urls, seed, dryRun, concurrency, maxDepth, maxUrls, scope })
+  // or resume a stored one ({ resume: id }). Resolves once the job is running.
+  async start(options = {}) {
+    const job = options.resume
+      ? await this.loadForResume(options.resume)
+      : this.createJob(options);
+
+    this.jobs.set(job.id, job);
+    job.status = 'running';
+    job.cancelled = false;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.finishedAt = null;
+    await this.persist(job);
+
+    logger.info(`Cache warm job ${job.id} ${options.resume ? 'resumed' : 'started'}${job.dryRun ? ' (dry run)' : ''}`, {
+      pending: job.pending.length
+    });
+
+    job.done = this.run(job);
+    return this.getStatus(job);
+  }
+
+  createJob(options) {
+    const urls = [...(options.urls || [])];
+    if (options.seed) {
+      urls.unshift(options.seed);
+    }
+
+    const startUrls = [...new Set(urls.map(url => this.toPath(url)).filter(Boolean))];
+    if (startUrls.length === 0) {
+      throw new Error('At least one AllData URL or a seed vehicle path is required');
+    }
+
+    const settings = {
+      concurrency: clamp(options.concurrency, this.defaults.concurrency, 1, 32),
+      maxDepth: clamp(options.maxDepth, this.defaults.maxDepth, 0, 20),
+      maxUrls: clamp(options.maxUrls, this.defaults.maxUrls, 1, 100000),
+      scope: options.scope ? [].concat(options.scope) : this.defaults.scope
+    };
+
+    return {
+      id: `warm-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      dryRun: !!options.dryRun,
+      settings,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      pending: startUrls.map(url => ({ url, depth: 0 })),
+      active: [],
+      seen: new Set(startUrls),
+      counts: { fetched: 0, alreadyCached: 0, planned: 0, skipped: 0, failed: 0 },
+      plan: [],
+      errors: []
+    };
+  }
+
+  async loadForResume(id) {
+    if (this.isRunning(id)) {
+      throw new Error(`Warm job ${id} is already running`);
+    }
+
+    const job = await this.readJob(id);
+    if (!job) {
+      throw new Error(`Warm job ${id} not found`);
+    }
+    if (job.status === 'completed') {
+      throw new Error(`Warm job ${id} has already completed`);
+    }
+
+    // URLs that were in flight when the job stopped go back to the front of the queue
+    job.pending = [...job.active, ...job.pending];
+    job.active = [];
+    return job;
+  }
+
+  // Process the queue with up to settings.concurrency requests in flight
+  async run(job) {
+    const inFlight = new Set();
+
+    try {
+      while (!job.cancelled) {
+        while (inFlight.size < job.settings.concurrency && job.pending.length > 0) {
+          const item = job.pending.shift();
+          job.active.push(item);
+
+          const task = this.warmUrl(job, item).finally(() => {
+            job.active = job.active.filter(active => active !== item);
+            inFlight.delete(task);
+          });
+          inFlight.add(task);
+        }
+
+        if (inFlight.size === 0) {
+          break;
+        }
+
+        await Promise.race(inFlight);
+        await this.checkpoint(job);
+        this.emit('progress', this.getStatus(job));
+      }
+
+      // Let requests already in flight finish so their results are kept
+      await Promise.all(inFlight);
+      job.status = job.cancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`Cache warm job ${job.id} failed:`, { error: error.message });
+    }
+
+    job.finishedAt = new Date().toISOString();
+    try {
+      await this.persist(job);
+    } catch (error) {
+      logger.error(`Failed to save cache warm job ${job.id}:`, { error: error.message });
+    }
+
+    const status = this.getStatus(job);
+    logger.info(`Cache warm job ${job.id} ${job.status}`, status.progress);
+    this.emit('finished', status);
+    return status;
+  }
+
+  async warmUrl(job, { url, depth }) {
+    try {
+      const rule = this.cacheManager.getRule(url);
+
+      // Partitioned (varyBy) and uncached routes are never shared, so there is nothing to warm
+      if (!rule.cache || rule.varyBy.length > 0) {
+        job.counts.skipped++;
+        return;
+      }
+
+      const entry = await this.cacheManager.loadEntry(url, 'GET', null, { rule });
+      if (entry && !entry.stale) {
+        job.counts.alreadyCached++;
+        this.enqueueLinks(job, entry.data, depth);
+        return;
+      }
+
+      if (job.dryRun) {
+        job.counts.planned++;
+        if (job.plan.length < MAX_REPORTED_PLAN) {
+          job.plan.push(url);
+        }
+        // Stale entries still show where the crawl would go next
+        if (entry) {
+          this.enqueueLinks(job, entry.data, depth);
+        }
+        return;
+      }
+
+      const accessToken = await this.getAccessToken();
+      const response = await proxyService.makeRequest({
+        method: 'GET',
+        url,
+        headers: {
+          ...proxyService.buildHeaders({ headers: { accept: 'application/json' } }, accessToken, true),
+          ...(entry ? this.cacheManager.getConditionalHeaders(entry) : {})
+        },
+        responseType: 'arraybuffer'
+      });
+
+      if (response.status === 304 && entry) {
+        await this.cacheManager.markRevalidated(url, 'GET', null, { rule, headers: response.headers });
+        job.counts.alreadyCached++;
+        this.enqueueLinks(job, entry.data, depth);
+        return;
+      }
+
+      if (response.status !== 200) {
+        this.recordError(job, url, `Upstream returned ${response.status}`);
+        return;
+      }
+
+      // Non-JSON bodies are cached as they are; links are only followed in JSON
+      const data = proxyService.parseBody(response);
+      if (data === null) {
+        job.counts.skipped++;
+        return;
+      }
+
+      await this.cacheManager.save(url, data, 'GET', null, { rule, headers: response.headers });
+      job.counts.fetched++;
+      this.enqueueLinks(job, data, depth);
+    } catch (error) {
+      this.recordError(job, url, error.message);
+    }
+  }
+
+  enqueueLinks(job, data, depth) {
+    if (depth >= job.settings.maxDepth) {
+      return;
+    }
+
+    for (const link of extractLinks(data)) {
+      if (job.seen.size >= job.settings.maxUrls) {
+        return;
+      }
+
+      if (!job.seen.has(link) && this.inScope(job, link)) {
+        job.seen.add(link);
+        job.pending.push({ url: link, depth: depth + 1 });
+      }
+    }
+  }
+
+  inScope(job, url) {
+    const pathname = url.split('?')[0];
+    return job.settings.scope.some(prefix => pathname.startsWith(prefix)) &&
+      !REACT_ROUTE_PATTERN.test(pathname) &&
+      !isStaticAsset(pathname);
+  }
+
+  // Reduce absolute upstream URLs to a path; anything outside /alldata/ is dropped
+  toPath(url) {
+    if (typeof url !== 'string') {
+      return null;
+    }
+
+    let pathname = url.trim();
+    if (/^https?:\/\//.test(pathname)) {
+      const parsed = new URL(pathname);
+      pathname = parsed.pathname + parsed.search;
+    }
+
+    return pathname.startsWith('/alldata/') ? pathname : null;
+  }
+
+  recordError(job, url, message) {
+    job.counts.failed++;
+    job.errors.push({ url, error: message, at: new Date().toISOString() });
+    if (job.errors.length > MAX_REPORTED_ERRORS) {
+      job.errors.shift();
+    }
+    logger.warn(`Cache warm job ${job.id}: ${url} failed: ${message}`);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running') {
+      return false;
+    }
+
+    job.cancelled = true;
+    return true;
+  }
+
+  isRunning(id) {
+    return this.jobs.get(id)?.status === 'running';
+  }
+
+  // Status of a job from this process, or from its state file
+  async getJob(id) {
+    if (this.jobs.has(id)) {
+      return this.getStatus(this.jobs.get(id));
+    }
+
+    const job = await this.readJob(id);
+    return job ? this.getStatus(job) : null;
+  }
+
+  async listJobs() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.jobsDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const ids = new Set([
+      ...files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)),
+      ...this.jobs.keys()
+    ]);
+
+    const jobs = await Promise.all([...ids].map(id => this.getJob(id)));
+    return jobs
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  getStatus(job) {
+    // A "running" job that this process is not running was interrupted by a restart
+    const status = job.status === 'running' && this.jobs.get(job.id) !== job ? 'interrupted' : job.status;
+    const processed = countProcessed(job);
+    const total = processed + job.pending.length + job.active.length;
+    const startedAt = job.startedAt ? new Date(job.startedAt).getTime() : null;
+
+    return {
+      id: job.id,
+      status,
+      dryRun: job.dryRun,
+      settings: job.settings,
+      progress: {
+        discovered: job.seen.size,
+        processed,
+        pending: job.pending.length,
+        active: job.active.length,
+        percent: total > 0 ? Math.round((processed / total) * 100) : 100,
+        ...job.counts
+      },
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      durationMs: startedAt ? (job.finishedAt ? new Date(job.finishedAt).getTime() : Date.now()) - startedAt : null,
+      plan: job.dryRun ? job.plan : undefined,
+      errors: job.errors,
+      error: job.error
+    };
+  }
+
+  jobPath(id) {
+    return path.join(this.jobsDir, `${path.basename(id)}.json`);
+  }
+
+  async readJob(id) {
+    try {
+      const job = JSON.parse(await fs.readFile(this.jobPath(id), 'utf8'));
+      return { ...job, seen: new Set(job.seen) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Persist a running job once PERSIST_INTERVAL has passed or PERSIST_BATCH
+  // URLs were processed since the last write
+  async checkpoint(job) {
+    const processed = countProcessed(job);
+    const last = this.checkpoints.get(job) || { at: 0, processed: 0 };
+
+    if (Date.now() - last.at >= PERSIST_INTERVAL || processed - last.processed >= PERSIST_BATCH) {
+      await this.persist(job);
+    }
+  }
+
+  // Write job state atomically so a crash never leaves a half-written file
+  async persist(job) {
+    const state = { ...job, seen: [...job.seen] };
+    delete state.done;
+    delete state.cancelled;
+
+    const filePath = this.jobPath(job.id);
+    const tmpPath = `${filePath}.tmp`;
+
+    await fs.mkdir(this.jobsDir, { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(state));
+    await fs.rename(tmpPath, filePath);
+
+    this.checkpoints.set(job, { at: Date.now(), processed: countProcessed(job) });
+  }
+}
+
+// Collect the unique /alldata/ paths referenced in a JSON value
+export function extractLinks(data) {
+  const links = new Set();
+
+  const walk = (value) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(LINK_PATTERN)) {
+        links.add(match[0].replace(/[.,;]+$/, ''));
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      Object.values(value).forEach(walk);
+    }
+  };
+
+  walk(data);
+  return [...links];
+}
+
+// URLs a job has finished with, whatever the outcome
+function countProcessed(job) {
+  return Object.values(job.counts).reduce((sum, count) => sum + count, 0);
+}
+
+function clamp(value, fallback, min, max) {
+  const number = Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : fallback;
+  return Math.min(Math.max(Math.floor(number), min), max);
+}
+
+export default CacheWarmer;
\ No newline at end of file
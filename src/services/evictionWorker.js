@@ -0,0 +1,135 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Keeps the cache under config.cache.maxSize. The total size is re-read from
+ * cache_index after every save and on a fixed interval; when it goes over the
+ * limit, CacheManager.cleanup() evicts least recently used entries in batches
+ * until the cache is back under the low watermark.
+ */
+class EvictionWorker {
+  constructor(cacheManager, options = {}) {
+    this.cacheManager = cacheManager;
+    this.maxSize = options.maxSize || 0; // bytes, 0 disables eviction
+    this.interval = options.interval || 5 * 60 * 1000;
+    this.batchSize = options.batchSize || 100;
+    this.lowWatermark = options.lowWatermark || 0.9; // evict down to this share of maxSize
+    this.timer = null;
+    this.running = false;
+    this.checking = false;
+    this.recheck = false;
+    this.totalSize = null;
+    this.runs = 0;
+    this.lastRun = null;
+    this.onSave = () => this.check();
+  }
+
+  start() {
+    if (!this.maxSize || this.timer) {
+      return;
+    }
+
+    this.cacheManager.on('save', this.onSave);
+    this.timer = setInterval(() => this.check(), this.interval);
+    this.timer.unref();
+
+    logger.info(`Cache eviction worker started (limit ${(this.maxSize / 1024 / 1024).toFixed(0)} MB)`);
+    this.check();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.cacheManager.off('save', this.onSave);
+  }
+
+  // Re-read the cache size and start an eviction run if it is over the limit
+  async check() {
+    if (this.checking || this.running) {
+      // Saves that land during a run are looked at once it finishes
+      this.recheck = true;
+      return;
+    }
+
+    this.checking = true;
+    try {
+      this.totalSize = await this.cacheManager.getTotalSize();
+    } catch (error) {
+      logger.error('Eviction worker failed to read cache size:', { error: error.message });
+      return;
+    } finally {
+      this.checking = false;
+    }
+
+    if (this.totalSize > this.maxSize) {
+      // Run outside the save() caller's await chain
+      setTimeout(() => this.run(), 0);
+    }
+  }
+
+  async run() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+    const sizeBefore = this.totalSize;
+
+    try {
+      const result = await this.cacheManager.cleanup({
+        maxSize: Math.floor(this.maxSize * this.lowWatermark),
+        batchSize: this.batchSize
+      });
+
+      this.totalSize = await this.cacheManager.getTotalSize();
+      this.lastRun = {
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        sizeBefore,
+        sizeAfter: this.totalSize,
+        deletedCount: result.deletedCount,
+        deletedSize: result.deletedSize,
+        success: result.success,
+        error: result.error
+      };
+
+      if (result.success) {
+        logger.info(`Cache eviction run removed ${result.deletedCount} entries (${(result.deletedSize / 1024 / 1024).toFixed(2)} MB) in ${this.lastRun.durationMs}ms`);
+      } else {
+        logger.error('Cache eviction run failed:', { error: result.error });
+      }
+    } catch (error) {
+      this.lastRun = {
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        sizeBefore,
+        success: false,
+        error: error.message
+      };
+      logger.error('Cache eviction run failed:', { error: error.message });
+    } finally {
+      this.runs++;
+      this.running = false;
+    }
+
+    if (this.recheck) {
+      this.recheck = false;
+      await this.check();
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.maxSize,
+      maxSize: this.maxSize,
+      totalSize: this.totalSize,
+      running: this.running,
+      runs: this.runs,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+export default EvictionWorker;
\ No newline at end of file
@@ -2,9 +2,24 @@ import axios from 'axios';
 import { PassThrough } from 'stream';
 import { config } from '../config/index.js';
 import logger from '../utils/logger.js';
+import upstreamHealth from './upstreamHealth.js';
+import { accountPool } from '../middleware/auth.js';
+
+// Upstream statuses that mean the session behind the access token is gone
+const AUTH_FAILURE_STATUSES = [401, 403];
+
+// Headers with the token swapped for a new one (cookie, accessToken, Accesstoken)
+function replaceToken(headers, oldToken, newToken) {
+  return Object.fromEntries(Object.entries(headers).map(([key, value]) =>
+    [key, typeof value === 'string' ? value.split(oldToken).join(newToken) : value]));
+}
 
 class ProxyService {
   constructor() {
+    // Upstream auth failures: rejected responses, replays that got through,
+    // replays that were refused again and rejections not retried
+    this.authRetries = { rejected: 0, recovered: 0, failed: 0, skipped: 0 };
+
     this.client = axios.create({
       baseURL: config.proxy.target,
       timeout: config.proxy.timeout,
@@ -75,11 +90,65 @@ class ProxyService {
     return headers;
   }
 
+  // Send a request upstream. A 401/403 for a token AuthManager still thinks is
+  // valid (session revoked early) clears that token and replays the request
+  // once with a new one.
   async makeRequest(options) {
+    const response = await this.send(options);
+    if (!AUTH_FAILURE_STATUSES.includes(response.status)) {
+      return response;
+    }
+    return this.retryWithNewToken(options, response);
+  }
+
+  async retryWithNewToken(options, response) {
+    const rejectedToken = options.headers?.accessToken;
+    if (!rejectedToken) {
+      return response;
+    }
+    this.authRetries.rejected++;
+
+    let newToken;
+    try {
+      newToken = await accountPool.renewRejectedToken(rejectedToken);
+    } catch (error) {
+      this.authRetries.failed++;
+      logger.error(`Upstream rejected the access token (${response.status}) and getting a new one failed:`, { error: error.message, url: options.url });
+      return response;
+    }
+
+    if (!newToken) {
+      this.authRetries.skipped++;
+      logger.warn(`Upstream answered ${response.status} for ${options.method} ${options.url}; the access token belongs to no upstream account, not retrying`);
+      return response;
+    }
+
+    logger.warn(`Upstream answered ${response.status} for ${options.method} ${options.url}, retrying with a new access token`);
+    if (typeof response.data?.destroy === 'function') {
+      response.data.destroy();
+    }
+
+    const retried = await this.send({ ...options, headers: replaceToken(options.headers, rejectedToken, newToken) });
+    if (AUTH_FAILURE_STATUSES.includes(retried.status)) {
+      this.authRetries.failed++;
+      logger.error(`Upstream answered ${retried.status} again for ${options.method} ${options.url} after renewing the access token`);
+    } else {
+      this.authRetries.recovered++;
+    }
+    return retried;
+  }
+
+  getAuthRetryStats() {
+    return { ...this.authRetries };
+  }
+
+  async send(options) {
     try {
       const response = await this.client(options);
+      upstreamHealth.record(response);
       return response;
     } catch (error) {
+      upstreamHealth.record(error);
       logger.error('Proxy request failed:', {
         error: error.message,
         url: options.url,
@@ -89,6 +158,23 @@ class ProxyService {
     }
   }
 
+  // Body of a response fetched with responseType 'arraybuffer': the parsed value
+  // for JSON (or untyped) responses, the raw bytes for anything else
+  parseBody(response) {
+    const buffer = Buffer.isBuffer(response.data) ? response.data : Buffer.from(response.data || '');
+    const contentType = response.headers['content-type'] || '';
+
+    if (!contentType || /[/+]json\b/.test(contentType)) {
+      try {
+        return JSON.parse(buffer.toString('utf8'));
+      } catch {
+        return buffer;
+      }
+    }
+
+    return buffer;
+  }
+
   createDuplicateStream(sourceStream) {
     const passThrough1 = new PassThrough();
     const passThrough2 = new PassThrough();
@@ -0,0 +1,136 @@
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Error codes that mean the upstream host could not be reached at all
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Upstream statuses that count as an outage rather than an application error
+const OUTAGE_STATUSES = [502, 503, 504];
+
+/**
+ * Tracks whether AllData (and its auth API) can be reached and decides when
+ * the proxy runs in offline mode, answering only from the cache.
+ *
+ * Mode "on" forces offline mode and "off" never enters it. In "auto" mode the
+ * proxy goes offline after failureThreshold consecutive upstream failures;
+ * while offline one request per retryInterval is let through as a probe, and
+ * a successful probe brings the proxy back online.
+ */
+class UpstreamHealth {
+  constructor(options = {}) {
+    this.mode = options.mode || 'auto';
+    this.failureThreshold = options.failureThreshold || 3;
+    this.retryInterval = (options.retryInterval || 30) * 1000;
+    this.consecutiveFailures = 0;
+    this.offlineSince = null;
+    this.nextProbeAt = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  // Whether an error or upstream response means AllData is unreachable
+  isUpstreamFailure(errorOrResponse) {
+    if (!errorOrResponse) {
+      return false;
+    }
+
+    if (OUTAGE_STATUSES.includes(errorOrResponse.status)) {
+      return true;
+    }
+
+    // AuthManager wraps request errors; the network error is kept as the cause
+    const code = errorOrResponse.code || errorOrResponse.cause?.code;
+    return UNREACHABLE_CODES.includes(code);
+  }
+
+  // Whether a request whose upstream call failed with this error should be
+  // answered from the cache (never in mode "off")
+  shouldServeOffline(error) {
+    return this.mode !== 'off' && this.isUpstreamFailure(error);
+  }
+
+  recordSuccess() {
+    if (this.offlineSince) {
+      logger.info(`Upstream reachable again after ${Math.round((Date.now() - this.offlineSince) / 1000)}s, leaving offline mode`);
+    }
+
+    this.consecutiveFailures = 0;
+    this.offlineSince = null;
+    this.lastSuccessAt = Date.now();
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastFailureAt = Date.now();
+    this.lastError = error?.message || (error?.status ? `Upstream returned ${error.status}` : 'Unknown error');
+
+    if (this.mode === 'auto' && !this.offlineSince && this.consecutiveFailures >= this.failureThreshold) {
+      this.offlineSince = Date.now();
+      this.nextProbeAt = this.offlineSince + this.retryInterval;
+      logger.warn(`Upstream unreachable after ${this.consecutiveFailures} consecutive failures, switching to offline mode`, {
+        error: this.lastError
+      });
+    }
+  }
+
+  // Record the outcome of an upstream call: a response, or the error it threw
+  record(errorOrResponse) {
+    if (this.isUpstreamFailure(errorOrResponse)) {
+      this.recordFailure(errorOrResponse);
+    } else if (errorOrResponse?.status) {
+      this.recordSuccess();
+    }
+  }
+
+  isOffline() {
+    if (this.mode === 'on') return true;
+    if (this.mode === 'off') return false;
+    return !!this.offlineSince;
+  }
+
+  // Whether a request should go upstream now. While offline in auto mode this
+  // lets one probe request through per retry interval.
+  tryUpstream() {
+    if (!this.isOffline()) {
+      return true;
+    }
+
+    if (this.mode === 'auto' && Date.now() >= this.nextProbeAt) {
+      this.nextProbeAt = Date.now() + this.retryInterval;
+      logger.info('Offline mode: probing upstream');
+      return true;
+    }
+
+    return false;
+  }
+
+  // Value of the X-Proxy-Offline header while offline
+  getReason() {
+    return this.mode === 'on' ? 'forced' : 'upstream-unreachable';
+  }
+
+  // Seconds until the next upstream probe, for Retry-After
+  getRetryAfter() {
+    if (this.mode !== 'auto' || !this.offlineSince) {
+      return null;
+    }
+    return Math.max(Math.ceil((this.nextProbeAt - Date.now()) / 1000), 1);
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      offline: this.isOffline(),
+      reason: this.isOffline() ? this.getReason() : null,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      offlineSince: this.offlineSince ? new Date(this.offlineSince).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      lastSuccessAt: this.lastSuccessAt ? new Date(this.lastSuccessAt).toISOString() : null
+    };
+  }
+}
+
+export default new UpstreamHealth(config.offline);
\ No newline at end of file
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+
+// File name suffix per payload codec
+const EXTENSIONS = {
+  identity: '.json',
+  gzip: '.json.gz',
+  br: '.json.br'
+};
+
+// <name>_<cacheKey><extension>, as written by getFilePath()
+const FILE_NAME_PATTERN = /_([0-9a-f]{32})\.json(\.gz|\.br)?$/;
+
+/**
+ * Stores payloads as files under <cacheDir>/data in a directory tree that
+ * mirrors the URL path, sharded by the first two characters of the cache key.
+ * The location recorded in cache_index is the absolute file path.
+ */
+class FileStorage {
+  constructor(cacheDir) {
+    this.name = 'file';
+    this.shared = false;
+    this.label = 'SQLite-Index'; // X-Cache-From value for hits served from this backend
+    this.dataDir = path.join(cacheDir, 'data');
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+  }
+
+  // Generate hierarchical path from a normalized URL
+  getHierarchicalPath(normalizedUrl) {
+    const urlParts = normalizedUrl.split('/').filter(part => part);
+
+    // Create a directory structure based on URL path
+    const dirParts = urlParts.slice(0, -1);
+    const fileName = urlParts.slice(-1)[0] || 'index';
+
+    // Clean filename for filesystem
+    const cleanFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+
+    return {
+      dirPath: dirParts.join(path.sep),
+      fileName: cleanFileName
+    };
+  }
+
+  // Get cache file path with hierarchical structure
+  getFilePath(entry) {
+    const { dirPath, fileName } = this.getHierarchicalPath(entry.normalizedUrl);
+
+    // Use first 2 chars of hash for additional sharding
+    const shardDir = entry.cacheKey.substring(0, 2);
+    const finalDirPath = path.join(this.dataDir, dirPath, shardDir);
+
+    // Filename includes part of original filename for readability
+    const finalFileName = `${fileName}_${entry.cacheKey}${EXTENSIONS[entry.codec] || '.json'}`;
+
+    return {
+      dirPath: finalDirPath,
+      filePath: path.join(finalDirPath, finalFileName)
+    };
+  }
+
+  async write(entry, buffer) {
+    const { dirPath, filePath } = this.getFilePath(entry);
+
+    await fs.promises.mkdir(dirPath, { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    // A previous copy written with another codec lives under a different file name
+    if (entry.previous && entry.previous.file_path !== filePath) {
+      await this.remove(entry.previous);
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    return { location: filePath, size: stats.size };
+  }
+
+  async read(row) {
+    try {
+      return await fs.promises.readFile(row.file_path);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(row) {
+    return fs.existsSync(row.file_path);
+  }
+
+  async remove(row) {
+    if (fs.existsSync(row.file_path)) {
+      await fs.promises.unlink(row.file_path);
+    }
+  }
+
+  async clear() {
+    await fs.promises.rm(this.dataDir, { recursive: true, force: true });
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+  }
+
+  // Clean up empty directories
+  async prune(dir = this.dataDir) {
+    try {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (entry.isDirectory()) {
+          const fullPath = path.join(dir, entry.name);
+          await this.prune(fullPath);
+
+          // Check if directory is empty after recursive cleaning
+          const remainingEntries = await fs.promises.readdir(fullPath);
+          if (remainingEntries.length === 0) {
+            await fs.promises.rmdir(fullPath);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error cleaning directories:', error);
+    }
+  }
+
+  // Every stored payload as { cacheKey, location }; files that do not follow
+  // the naming scheme are listed with a null cacheKey
+  async *list(dir = this.dataDir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* this.list(fullPath);
+      } else if (entry.isFile()) {
+        const match = entry.name.match(FILE_NAME_PATTERN);
+        yield { cacheKey: match ? match[1] : null, location: fullPath };
+      }
+    }
+  }
+
+  // Freshness is tracked in cache_index only
+  async extend() {}
+
+  // Only shared backends keep entry metadata next to the payload
+  async readMeta() {
+    return null;
+  }
+
+  async close() {}
+}
+
+export default FileStorage;
\ No newline at end of file
@@ -0,0 +1,26 @@
+import FileStorage from './fileStorage.js';
+import SqliteBlobStorage from './sqliteBlobStorage.js';
+import RedisStorage from './redisStorage.js';
+
+// Storage backend names accepted by CACHE_STORAGE
+export const STORAGE_TYPES = ['file', 'sqlite', 'redis'];
+
+/**
+ * Create the payload storage backend used by CacheManager. Every backend
+ * implements init, write, read, exists, remove, clear, prune, list, extend,
+ * readMeta and close; see fileStorage.js for the reference implementation.
+ */
+export function createStorage(type, options = {}) {
+  switch (type) {
+  case 'file':
+    return new FileStorage(options.cacheDir);
+  case 'sqlite':
+    return new SqliteBlobStorage(options.cacheDir);
+  case 'redis':
+    return new RedisStorage({ url: options.redisUrl, prefix: options.redisPrefix });
+  default:
+    throw new Error(`Unknown cache storage backend "${type}" (expected ${STORAGE_TYPES.join(', ')})`);
+  }
+}
+
+export default createStorage;
\ No newline at end of file
@@ -0,0 +1,174 @@
+import net from 'net';
+
+/**
+ * Minimal in-process server speaking the Redis protocol (RESP2), for running
+ * the redis storage backend without a Redis server (CACHE_REDIS_URL=memory://).
+ * Supports the commands the backend and ioredis' connection handshake use:
+ * PING, INFO, SELECT, GET, SET (EX/PX), PEXPIRE, DEL, EXISTS, SCAN, KEYS, FLUSHDB, QUIT.
+ * Data lives in this process only, so it is not shared between replicas.
+ */
+class RedisStandIn {
+  constructor() {
+    this.store = new Map(); // key -> { value: Buffer, expiresAt: number|null }
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    return this.server.address();
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  handleConnection(socket) {
+    let pending = Buffer.alloc(0);
+    this.sockets.add(socket);
+
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+
+      let parsed;
+      while ((parsed = parseCommand(pending))) {
+        pending = pending.subarray(parsed.length);
+        socket.write(this.execute(parsed.args));
+
+        if (parsed.args[0]?.toString().toUpperCase() === 'QUIT') {
+          socket.end();
+          return;
+        }
+      }
+    });
+
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+
+  // Look up a live key, dropping it if it has expired
+  lookup(key) {
+    const entry = this.store.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  matchingKeys(pattern) {
+    const matcher = patternToRegExp(pattern);
+    return [...this.store.keys()].filter(key => this.lookup(key) && matcher.test(key));
+  }
+
+  execute(args) {
+    const command = args[0]?.toString().toUpperCase();
+    const strings = args.map(arg => arg.toString());
+
+    switch (command) {
+    case 'PING':
+      return simple('PONG');
+    case 'QUIT':
+    case 'SELECT':
+    case 'FLUSHDB':
+      if (command === 'FLUSHDB') {
+        this.store.clear();
+      }
+      return simple('OK');
+    case 'INFO':
+      return bulk(Buffer.from('# Server\r\nredis_version:7.0.0-standin\r\nloading:0\r\n'));
+    case 'GET': {
+      const entry = this.lookup(strings[1]);
+      return bulk(entry ? entry.value : null);
+    }
+    case 'SET': {
+      let expiresAt = null;
+      for (let i = 3; i < strings.length; i += 2) {
+        const option = strings[i].toUpperCase();
+        if (option === 'EX') expiresAt = Date.now() + Number(strings[i + 1]) * 1000;
+        if (option === 'PX') expiresAt = Date.now() + Number(strings[i + 1]);
+      }
+      this.store.set(strings[1], { value: Buffer.from(args[2]), expiresAt });
+      return simple('OK');
+    }
+    case 'PEXPIRE': {
+      const entry = this.lookup(strings[1]);
+      if (entry) {
+        entry.expiresAt = Date.now() + Number(strings[2]);
+      }
+      return integer(entry ? 1 : 0);
+    }
+    case 'DEL':
+      return integer(strings.slice(1).filter(key => this.lookup(key) && this.store.delete(key)).length);
+    case 'EXISTS':
+      return integer(strings.slice(1).filter(key => this.lookup(key)).length);
+    case 'KEYS':
+      return array(this.matchingKeys(strings[1]).map(key => bulk(Buffer.from(key))));
+    case 'SCAN': {
+      // Single pass: every matching key is returned with cursor 0
+      const matchIndex = strings.findIndex(arg => arg.toUpperCase() === 'MATCH');
+      const keys = this.matchingKeys(matchIndex > 0 ? strings[matchIndex + 1] : '*');
+      return array([bulk(Buffer.from('0')), array(keys.map(key => bulk(Buffer.from(key))))]);
+    }
+    default:
+      return Buffer.from(`-ERR unknown command '${strings[0]}'\r\n`);
+    }
+  }
+}
+
+// Parse one RESP array of bulk strings; returns null until the command is complete
+function parseCommand(buffer) {
+  if (buffer.length === 0 || buffer[0] !== 0x2a) { // '*'
+    return null;
+  }
+
+  let offset = buffer.indexOf('\r\n');
+  if (offset === -1) return null;
+
+  const count = parseInt(buffer.subarray(1, offset).toString(), 10);
+  offset += 2;
+  const args = [];
+
+  for (let i = 0; i < count; i++) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const length = parseInt(buffer.subarray(offset + 1, lineEnd).toString(), 10);
+    const start = lineEnd + 2;
+    if (buffer.length < start + length + 2) return null;
+
+    args.push(buffer.subarray(start, start + length));
+    offset = start + length + 2;
+  }
+
+  return { args, length: offset };
+}
+
+function patternToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+const simple = (value) => Buffer.from(`+${value}\r\n`);
+const integer = (value) => Buffer.from(`:${value}\r\n`);
+const bulk = (value) => (value === null
+  ? Buffer.from('$-1\r\n')
+  : Buffer.concat([Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n')]));
+const array = (items) => Buffer.concat([Buffer.from(`*${items.length}\r\n`), ...items]);
+
+export default RedisStandIn;
\ No newline at end of file
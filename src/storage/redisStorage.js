@@ -0,0 +1,126 @@
+import Redis from 'ioredis';
+import RedisStandIn from './redisStandIn.js';
+
+/**
+ * Stores payloads in Redis so several proxy replicas can share one cache.
+ * Each entry is two keys: <prefix>data:<cacheKey> with the payload and
+ * <prefix>meta:<cacheKey> with the index fields, both expiring when the entry
+ * goes past its stale window. Replicas that miss in their local index adopt
+ * entries from the meta key. The location recorded in cache_index is
+ * "redis:<cacheKey>".
+ */
+class RedisStorage {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.shared = true;
+    this.label = 'Redis'; // X-Cache-From value for hits served from this backend
+    this.url = options.url || 'redis://127.0.0.1:6379';
+    this.prefix = options.prefix || 'alldata-cache:';
+    this.client = null;
+    this.standIn = null;
+  }
+
+  async init() {
+    let url = this.url;
+
+    // memory:// runs an in-process stand-in instead of connecting to Redis
+    if (url.startsWith('memory://')) {
+      this.standIn = new RedisStandIn();
+      const { port } = await this.standIn.start();
+      url = `redis://127.0.0.1:${port}`;
+    }
+
+    this.client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 2 });
+    this.client.on('error', (error) => console.error('Redis cache storage error:', error.message));
+    await this.client.connect();
+  }
+
+  dataKey(cacheKey) {
+    return `${this.prefix}data:${cacheKey}`;
+  }
+
+  metaKey(cacheKey) {
+    return `${this.prefix}meta:${cacheKey}`;
+  }
+
+  async write(entry, buffer) {
+    const location = `redis:${entry.cacheKey}`;
+    const ttlMs = Math.max(entry.meta.staleUntil - Date.now(), 1000);
+
+    await this.client.pipeline()
+      .set(this.dataKey(entry.cacheKey), buffer, 'PX', ttlMs)
+      .set(this.metaKey(entry.cacheKey), JSON.stringify({ ...entry.meta, location }), 'PX', ttlMs)
+      .exec();
+
+    return { location, size: buffer.length };
+  }
+
+  async read(row) {
+    return this.client.getBuffer(this.dataKey(row.cache_key));
+  }
+
+  async exists(row) {
+    return (await this.client.exists(this.dataKey(row.cache_key))) === 1;
+  }
+
+  async remove(row) {
+    await this.client.del(this.dataKey(row.cache_key), this.metaKey(row.cache_key));
+  }
+
+  // Delete every key under the prefix (other replicas' entries included)
+  async clear() {
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500);
+      if (keys.length > 0) {
+        await this.client.del(...keys);
+      }
+      cursor = next;
+    } while (cursor !== '0');
+  }
+
+  // Redis expires keys itself
+  async prune() {}
+
+  // Every stored payload as { cacheKey, location }, including other replicas' entries
+  async *list() {
+    const dataPrefix = this.dataKey('');
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${dataPrefix}*`, 'COUNT', 500);
+      for (const key of keys) {
+        const cacheKey = key.slice(dataPrefix.length);
+        yield { cacheKey, location: `redis:${cacheKey}` };
+      }
+      cursor = next;
+    } while (cursor !== '0');
+  }
+
+  // Push the keys' expiry out to a revalidated entry's new stale window
+  async extend(row, meta) {
+    const ttlMs = Math.max(meta.staleUntil - Date.now(), 1000);
+
+    await this.client.pipeline()
+      .pexpire(this.dataKey(row.cache_key), ttlMs)
+      .set(this.metaKey(row.cache_key), JSON.stringify({ ...meta, location: row.file_path }), 'PX', ttlMs)
+      .exec();
+  }
+
+  async readMeta(cacheKey) {
+    const meta = await this.client.get(this.metaKey(cacheKey));
+    return meta ? JSON.parse(meta) : null;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit().catch(() => this.client.disconnect());
+      this.client = null;
+    }
+    if (this.standIn) {
+      await this.standIn.stop();
+      this.standIn = null;
+    }
+  }
+}
+
+export default RedisStorage;
\ No newline at end of file
@@ -0,0 +1,98 @@
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { promisify } from 'util';
+
+/**
+ * Stores payloads as BLOBs in a separate SQLite database (cache-blobs.db),
+ * keeping the whole cache in two files instead of a directory tree. The
+ * location recorded in cache_index is "sqlite:<cacheKey>".
+ */
+class SqliteBlobStorage {
+  constructor(cacheDir) {
+    this.name = 'sqlite';
+    this.shared = false;
+    this.label = 'SQLite-Blob'; // X-Cache-From value for hits served from this backend
+    this.dbPath = path.join(cacheDir, 'cache-blobs.db');
+    this.db = null;
+  }
+
+  async init() {
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.dbPath, (err) => (err ? reject(err) : resolve()));
+    });
+
+    this.dbRun = promisify(this.db.run.bind(this.db));
+    this.dbGet = promisify(this.db.get.bind(this.db));
+    this.dbAll = promisify(this.db.all.bind(this.db));
+
+    await this.dbRun(`
+      CREATE TABLE IF NOT EXISTS cache_blobs (
+        cache_key TEXT PRIMARY KEY,
+        data BLOB NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async write(entry, buffer) {
+    await this.dbRun(`
+      INSERT OR REPLACE INTO cache_blobs (cache_key, data, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+    `, [entry.cacheKey, buffer]);
+
+    return { location: `sqlite:${entry.cacheKey}`, size: buffer.length };
+  }
+
+  async read(row) {
+    const blob = await this.dbGet('SELECT data FROM cache_blobs WHERE cache_key = ?', [row.cache_key]);
+    return blob ? blob.data : null;
+  }
+
+  async exists(row) {
+    const blob = await this.dbGet('SELECT 1 FROM cache_blobs WHERE cache_key = ?', [row.cache_key]);
+    return !!blob;
+  }
+
+  async remove(row) {
+    await this.dbRun('DELETE FROM cache_blobs WHERE cache_key = ?', [row.cache_key]);
+  }
+
+  async clear() {
+    await this.dbRun('DELETE FROM cache_blobs');
+  }
+
+  async prune() {}
+
+  // Every stored payload as { cacheKey, location }, read in key order
+  async *list(batchSize = 500) {
+    let lastKey = '';
+    while (true) {
+      const rows = await this.dbAll(
+        'SELECT cache_key FROM cache_blobs WHERE cache_key > ? ORDER BY cache_key LIMIT ?',
+        [lastKey, batchSize]
+      );
+      if (rows.length === 0) {
+        return;
+      }
+
+      for (const row of rows) {
+        yield { cacheKey: row.cache_key, location: `sqlite:${row.cache_key}` };
+      }
+      lastKey = rows[rows.length - 1].cache_key;
+    }
+  }
+
+  async extend() {}
+
+  async readMeta() {
+    return null;
+  }
+
+  async close() {
+    if (this.db) {
+      await new Promise((resolve) => this.db.close(() => resolve()));
+    }
+  }
+}
+
+export default SqliteBlobStorage;
\ No newline at end of file
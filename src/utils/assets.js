@@ -1,7 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import axios from 'axios';
-import { authManager } from '../middleware/auth.js';
+import { accountPool } from '../middleware/auth.js';
 import { config } from '../config/index.js';
 
 const STATIC_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'pdf', 'html', 'css', 'js', 'woff', 'woff2', 'ttf', 'eot', 'otf', 'ico'];
@@ -51,7 +51,7 @@ export async function downloadAsset(url, filePath) {
     await fs.promises.mkdir(dir, { recursive: true });
   }
 
-  const accessToken = await authManager.getValidToken();
+  const accessToken = await accountPool.getValidToken();
 
   const response = await axios({
     method: 'GET',
@@ -0,0 +1,295 @@
+// Shape type names accepted in policy "shape" definitions
+const SHAPE_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'null', 'any'];
+
+// Request properties a rule's "varyBy" can partition the cache on, besides "header:<name>"
+const VARY_PARTS = ['user', 'license', 'tenant'];
+
+// Tenant an authenticated user belongs to, or null
+export function getTenant(user) {
+  return user?.tenantId ?? null;
+}
+
+/**
+ * Convert a URL glob into a RegExp. `*` matches within one path segment,
+ * `**` matches across segments and `?` matches a single character.
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a JSON value against a shape definition. A shape is a type name
+ * ("string", "array", ...), an object whose keys must all be present and
+ * match, or a one-element array describing every item.
+ */
+export function matchesShape(value, shape) {
+  if (typeof shape === 'string') {
+    switch (shape) {
+    case 'any':
+      return value !== undefined;
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === shape;
+    }
+  }
+
+  if (Array.isArray(shape)) {
+    return Array.isArray(value) && value.every(item => matchesShape(item, shape[0]));
+  }
+
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+
+  return Object.entries(shape).every(([key, childShape]) => matchesShape(value[key], childShape));
+}
+
+function validateShape(shape, where) {
+  if (typeof shape === 'string') {
+    if (!SHAPE_TYPES.includes(shape)) {
+      throw new Error(`${where}: unknown shape type "${shape}"`);
+    }
+    return;
+  }
+
+  if (Array.isArray(shape)) {
+    if (shape.length !== 1) {
+      throw new Error(`${where}: array shapes must have exactly one item shape`);
+    }
+    validateShape(shape[0], where);
+    return;
+  }
+
+  if (!shape || typeof shape !== 'object') {
+    throw new Error(`${where}: shape must be a type name, object or array`);
+  }
+
+  Object.values(shape).forEach(childShape => validateShape(childShape, where));
+}
+
+// Compile a tag rule: { name, from: "url", pattern } takes the first capture
+// group of a regex on the URL; { name, from: "response", path } reads a dot
+// path from the JSON payload, where "*" steps into every array item.
+function compileTagRule(tagRule, where) {
+  if (!tagRule || typeof tagRule.name !== 'string' || !tagRule.name) {
+    throw new Error(`${where}: tag rules need a name`);
+  }
+
+  const from = tagRule.from || 'url';
+
+  if (from === 'url') {
+    if (!tagRule.pattern || typeof tagRule.pattern !== 'string') {
+      throw new Error(`${where}: tag "${tagRule.name}" needs a pattern with a capture group`);
+    }
+    return { name: tagRule.name, from, pattern: new RegExp(tagRule.pattern) };
+  }
+
+  if (from === 'response') {
+    if (!tagRule.path || typeof tagRule.path !== 'string') {
+      throw new Error(`${where}: tag "${tagRule.name}" needs a path into the response`);
+    }
+    return { name: tagRule.name, from, path: tagRule.path.split('.') };
+  }
+
+  throw new Error(`${where}: tag "${tagRule.name}" has unknown source "${from}" (expected url or response)`);
+}
+
+// Values found at a dot path; "*" segments fan out over arrays
+function valuesAtPath(value, segments) {
+  if (segments.length === 0) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+
+  const [segment, ...rest] = segments;
+  if (segment === '*') {
+    return Array.isArray(value) ? value.flatMap(item => valuesAtPath(item, rest)) : [];
+  }
+
+  return valuesAtPath(value[segment], rest);
+}
+
+// Compile a rule's varyBy list; "perUser": true is shorthand for varyBy ["user"]
+function compileVaryBy(rule, name) {
+  if (rule.varyBy !== undefined && !Array.isArray(rule.varyBy)) {
+    throw new Error(`Cache policy rule "${name}": varyBy must be an array`);
+  }
+
+  const parts = (rule.varyBy || []).map(part => {
+    if (typeof part === 'string' && part.startsWith('header:') && part.length > 'header:'.length) {
+      return part.toLowerCase();
+    }
+    if (!VARY_PARTS.includes(part)) {
+      throw new Error(`Cache policy rule "${name}": unknown varyBy "${part}" (expected ${VARY_PARTS.join(', ')} or header:<name>)`);
+    }
+    return part;
+  });
+
+  if (rule.perUser && !parts.includes('user')) {
+    parts.unshift('user');
+  }
+  return parts;
+}
+
+function compileRule(rule, index) {
+  const name = rule.name || `rule-${index + 1}`;
+
+  if (!rule.pattern || typeof rule.pattern !== 'string') {
+    throw new Error(`Cache policy rule "${name}": pattern is required`);
+  }
+
+  if (rule.ttl !== undefined && !(Number.isFinite(rule.ttl) && rule.ttl > 0)) {
+    throw new Error(`Cache policy rule "${name}": ttl must be a positive number of seconds`);
+  }
+
+  if (rule.negativeTtl !== undefined && !(Number.isFinite(rule.negativeTtl) && rule.negativeTtl >= 0)) {
+    throw new Error(`Cache policy rule "${name}": negativeTtl must be a number of seconds (0 disables)`);
+  }
+
+  if (rule.shape !== undefined) {
+    validateShape(rule.shape, `Cache policy rule "${name}"`);
+  }
+
+  if (rule.tags !== undefined && !Array.isArray(rule.tags)) {
+    throw new Error(`Cache policy rule "${name}": tags must be an array`);
+  }
+
+  return {
+    name,
+    pattern: rule.pattern,
+    matcher: rule.regex ? new RegExp(rule.pattern) : globToRegExp(rule.pattern),
+    cache: rule.cache !== false,
+    ttl: rule.ttl ?? null,
+    negativeTtl: rule.negativeTtl ?? null,
+    varyBy: compileVaryBy(rule, name),
+    shape: rule.shape ?? null,
+    tags: (rule.tags || []).map(tagRule => compileTagRule(tagRule, `Cache policy rule "${name}"`))
+  };
+}
+
+/**
+ * Per-route cache rules loaded from the policy file. Rules are checked in
+ * order against the request path (query string excluded); the first match
+ * wins and unmatched paths fall back to the "default" rule. Tag rules at the
+ * top level apply to every entry, tag rules on a route rule only to its matches.
+ * Rules without their own varyBy use the default rule's.
+ */
+export class CachePolicy {
+  constructor(policy = {}) {
+    const defaults = policy.default || {};
+
+    this.defaultRule = {
+      ...compileRule({ ...defaults, pattern: '**' }, 0),
+      name: 'default'
+    };
+    this.rules = (policy.rules || []).map((rule, index) => compileRule({
+      ...rule,
+      varyBy: rule.varyBy ?? defaults.varyBy
+    }, index));
+
+    if (policy.tags !== undefined && !Array.isArray(policy.tags)) {
+      throw new Error('Cache policy: tags must be an array');
+    }
+    this.tagRules = (policy.tags || []).map(tagRule => compileTagRule(tagRule, 'Cache policy'));
+  }
+
+  // Find the rule that applies to a normalized URL
+  match(normalizedUrl) {
+    const pathname = normalizedUrl.split('?')[0];
+    return this.rules.find(rule => rule.matcher.test(pathname)) || this.defaultRule;
+  }
+
+  // Cache key partition for a request under a rule, e.g. "user:12|tenant:acme";
+  // null when the rule's entries are shared, undefined when the rule varies by
+  // a user property the request does not have (no user, or a user without a
+  // tenant), so the request bypasses the cache rather than share a partition
+  getVary(rule, req) {
+    if (rule.varyBy.length === 0) {
+      return null;
+    }
+
+    const parts = [];
+    for (const part of rule.varyBy) {
+      if (part.startsWith('header:')) {
+        const name = part.slice('header:'.length);
+        parts.push(`${name}:${req.headers?.[name] ?? ''}`);
+        continue;
+      }
+
+      if (!req.user) {
+        return undefined;
+      }
+
+      switch (part) {
+      case 'user':
+        parts.push(`user:${req.user.id}`);
+        break;
+      case 'license':
+        parts.push(`license:${req.user.licenseType ?? ''}`);
+        break;
+      case 'tenant': {
+        const tenant = getTenant(req.user);
+        if (tenant === null) {
+          return undefined;
+        }
+        parts.push(`tenant:${tenant}`);
+        break;
+      }
+      }
+    }
+
+    return parts.join('|');
+  }
+
+  // Tags ("name:value") for an entry saved under a rule
+  tagsFor(rule, normalizedUrl, data) {
+    const tags = new Set();
+
+    for (const tagRule of [...this.tagRules, ...rule.tags]) {
+      const values = tagRule.from === 'url'
+        ? [normalizedUrl.match(tagRule.pattern)?.[1]]
+        : valuesAtPath(data, tagRule.path);
+
+      values
+        .filter(value => typeof value === 'string' || typeof value === 'number')
+        .forEach(value => tags.add(`${tagRule.name}:${value}`));
+    }
+
+    return [...tags];
+  }
+
+  // Check whether a successful payload may be stored under a rule
+  accepts(rule, data) {
+    // Shapes describe JSON; raw (non-JSON) bodies never match one
+    return !rule.shape || (!Buffer.isBuffer(data) && matchesShape(data, rule.shape));
+  }
+}
+
+export default CachePolicy;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+
+const POLL_INTERVAL = 200;
+
+/**
+ * Exclusive lease on a lock file, for serializing work across processes that
+ * share a directory (replicas with a shared volume). The lock file is created
+ * with O_EXCL and records its holder and expiry; a lease that outlives its
+ * ttl (holder crashed or hung) is treated as released and taken over.
+ */
+class FileLease {
+  constructor(lockPath, options = {}) {
+    this.lockPath = lockPath;
+    this.ttl = options.ttl || 30000;
+    this.id = null;
+  }
+
+  // Wait up to timeout ms for the lease; resolves false if it stayed held
+  async acquire(timeout = this.ttl) {
+    const deadline = Date.now() + timeout;
+
+    while (!(await this.tryAcquire())) {
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+    return true;
+  }
+
+  async tryAcquire() {
+    const id = crypto.randomUUID();
+    const holder = JSON.stringify({ id, pid: process.pid, host: os.hostname(), expiresAt: Date.now() + this.ttl });
+
+    try {
+      await fs.writeFile(this.lockPath, holder, { flag: 'wx', mode: 0o600 });
+      this.id = id;
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (await this.isExpired()) {
+      await fs.unlink(this.lockPath).catch(() => {});
+    }
+    return false;
+  }
+
+  async isExpired() {
+    try {
+      const { expiresAt } = JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+      return !(expiresAt > Date.now());
+    } catch {
+      // Gone already, or still being written; only an old unreadable file is stale
+      const stat = await fs.stat(this.lockPath).catch(() => null);
+      return !!stat && stat.mtimeMs + this.ttl < Date.now();
+    }
+  }
+
+  // Remove the lock file if this lease still holds it
+  async release() {
+    if (!this.id) {
+      return;
+    }
+
+    try {
+      const { id } = JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+      if (id === this.id) {
+        await fs.unlink(this.lockPath);
+      }
+    } catch {
+      // Already removed or taken over after expiring
+    }
+    this.id = null;
+  }
+}
+
+export default FileLease;
\ No newline at end of file
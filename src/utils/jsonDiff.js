@@ -0,0 +1,58 @@
+/**
+ * List the differences between two JSON values. Each difference is
+ * { path, change: 'added' | 'removed' | 'changed', before, after } with paths
+ * like $.data.children[2].name; listing stops after `limit` differences.
+ */
+export function diffJson(before, after, limit = 50) {
+  const differences = [];
+
+  const walk = (a, b, path) => {
+    if (differences.length >= limit) {
+      return;
+    }
+
+    if (a === b) {
+      return;
+    }
+
+    const aIsObject = a !== null && typeof a === 'object';
+    const bIsObject = b !== null && typeof b === 'object';
+
+    if (!aIsObject || !bIsObject || Array.isArray(a) !== Array.isArray(b)) {
+      differences.push({ path, change: 'changed', before: a, after: b });
+      return;
+    }
+
+    if (Array.isArray(a)) {
+      const length = Math.max(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        if (i >= a.length) {
+          differences.push({ path: `${path}[${i}]`, change: 'added', after: b[i] });
+        } else if (i >= b.length) {
+          differences.push({ path: `${path}[${i}]`, change: 'removed', before: a[i] });
+        } else {
+          walk(a[i], b[i], `${path}[${i}]`);
+        }
+        if (differences.length >= limit) return;
+      }
+      return;
+    }
+
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+      if (!(key in b)) {
+        differences.push({ path: `${path}.${key}`, change: 'removed', before: a[key] });
+      } else if (!(key in a)) {
+        differences.push({ path: `${path}.${key}`, change: 'added', after: b[key] });
+      } else {
+        walk(a[key], b[key], `${path}.${key}`);
+      }
+      if (differences.length >= limit) return;
+    }
+  };
+
+  walk(before, after, '$');
+  return differences;
+}
+
+export default diffJson;
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Least-recently-used map bounded by a byte budget instead of an entry count.
+ * Callers pass the size of each value; the oldest entries are dropped until
+ * the total fits. A budget of 0 disables the cache.
+ */
+class LRUCache {
+  constructor(maxBytes = 0) {
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value, size) {
+    this.delete(key);
+
+    // Values larger than the whole budget are not worth evicting everything for
+    if (!this.maxBytes || size > this.maxBytes) {
+      return false;
+    }
+
+    this.entries.set(key, { value, size });
+    this.bytes += size;
+
+    while (this.bytes > this.maxBytes) {
+      const [oldestKey] = this.entries.keys();
+      this.delete(oldestKey);
+    }
+
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+export default LRUCache;
\ No newline at end of file
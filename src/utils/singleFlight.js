@@ -0,0 +1,33 @@
+/**
+ * Deduplicates concurrent async calls by key: while a call for a key is in
+ * flight, later callers wait for it and receive the same result (or error).
+ */
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+  }
+
+  // Returns { value, shared } where shared is true for callers that joined an existing call
+  async do(key, fn) {
+    if (this.inFlight.has(key)) {
+      return { value: await this.inFlight.get(key), shared: true };
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+
+    return { value: await promise, shared: false };
+  }
+
+  has(key) {
+    return this.inFlight.has(key);
+  }
+
+  get size() {
+    return this.inFlight.size;
+  }
+}
+
+export default SingleFlight;
\ No newline at end of file
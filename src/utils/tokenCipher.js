@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+const ALGORITHM = 'aes-256-gcm';
+
+// scrypt cost parameters (Node's defaults); changing them makes existing
+// cache files undecryptable
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+// The salt is read from saltFile, which is created with a random salt the
+// first time; replicas sharing the token cache share the salt file with it
+function readOrCreateSalt(saltFile) {
+  try {
+    return Buffer.from(fs.readFileSync(saltFile, 'utf8').trim(), 'base64');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  try {
+    fs.writeFileSync(saltFile, crypto.randomBytes(16).toString('base64'), { flag: 'wx', mode: 0o600 });
+  } catch (error) {
+    // Another replica created it first
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+  return Buffer.from(fs.readFileSync(saltFile, 'utf8').trim(), 'base64');
+}
+
+// A salt file that cannot be read or created does not stop startup: this run
+// uses a random salt, so the existing cache is not decrypted and the proxy
+// logs in again
+function loadSalt(saltFile) {
+  try {
+    return readOrCreateSalt(saltFile);
+  } catch (error) {
+    console.warn(`Cannot use token key salt file ${saltFile} (${error.message}), ignoring the token cache for this run`);
+    return crypto.randomBytes(16);
+  }
+}
+
+// 256-bit key from a configured secret (e.g. `openssl rand -base64 32`)
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, 32, SCRYPT_OPTIONS);
+}
+
+// Short key id stored with the data, so the right key is tried first
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Encrypts the upstream token cache with AES-256-GCM, using keys derived from
+ * the configured secrets with scrypt and the salt in options.saltFile. The
+ * first key encrypts; every key (current first, then previous ones) can
+ * decrypt, so a key can be rotated by making the old key a previous key until
+ * the cache file has been written again.
+ */
+class TokenCipher {
+  constructor(keys = [], options = {}) {
+    const secrets = keys.filter(secret => secret);
+    if (secrets.length > 0 && !options.saltFile) {
+      throw new Error('TokenCipher needs a salt file to derive keys');
+    }
+
+    const salt = secrets.length > 0 ? loadSalt(options.saltFile) : null;
+    this.keys = secrets.map(secret => {
+      const key = deriveKey(secret, salt);
+      return { key, id: fingerprint(key) };
+    });
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  static isEncrypted(data) {
+    return !!data && data.algorithm === ALGORITHM && typeof data.data === 'string';
+  }
+
+  encrypt(value) {
+    const { key, id } = this.keys[0];
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+      version: 1,
+      algorithm: ALGORITHM,
+      keyId: id,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  // Returns { value, current } where current is false when a previous key was
+  // needed; throws when no key decrypts the data
+  decrypt(envelope) {
+    const candidates = [
+      ...this.keys.filter(({ id }) => id === envelope.keyId),
+      ...this.keys.filter(({ id }) => id !== envelope.keyId)
+    ];
+
+    for (const { key, id } of candidates) {
+      try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        return { value: JSON.parse(data.toString('utf8')), current: id === this.keys[0].id };
+      } catch {
+        // Wrong key, try the next one
+      }
+    }
+
+    throw new Error(this.enabled ? 'no configured key decrypts it' : 'no encryption key is configured');
+  }
+}
+
+export default TokenCipher;
\ No newline at end of file
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CacheManager from '../../src/cacheManager.js';
+import RedisStorage from '../../src/storage/redisStorage.js';
+
+// The redis backend against the in-process stand-in (CACHE_REDIS_URL=memory://)
+
+test('redis storage writes, reads and removes payloads', async () => {
+  const storage = new RedisStorage({ url: 'memory://', prefix: 'test:' });
+  await storage.init();
+
+  try {
+    const meta = { url: '/alldata/vehicle/1', staleUntil: Date.now() + 60000 };
+    const { location, size } = await storage.write({ cacheKey: 'abc', meta }, Buffer.from('{"id":1}'));
+    const row = { cache_key: 'abc', file_path: location };
+
+    assert.equal(location, 'redis:abc');
+    assert.equal(size, 8);
+    assert.equal((await storage.read(row)).toString(), '{"id":1}');
+    assert.equal(await storage.exists(row), true);
+    assert.deepEqual(await storage.readMeta('abc'), { ...meta, location });
+
+    const listed = [];
+    for await (const item of storage.list()) {
+      listed.push(item);
+    }
+    assert.deepEqual(listed, [{ cacheKey: 'abc', location }]);
+
+    await storage.remove(row);
+    assert.equal(await storage.exists(row), false);
+    assert.equal(await storage.readMeta('abc'), null);
+
+    await storage.write({ cacheKey: 'def', meta }, Buffer.from('x'));
+    await storage.clear();
+    assert.equal(await storage.exists({ cache_key: 'def' }), false);
+  } finally {
+    await storage.close();
+  }
+});
+
+test('cache entries round-trip through the redis backend', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alldata-cache-'));
+  const storage = new RedisStorage({ url: 'memory://', prefix: 'test:' });
+  const cacheManager = new CacheManager(cacheDir, { storage, compression: 'gzip' });
+
+  try {
+    await cacheManager.initializeDatabase();
+
+    const data = { vehicle: { id: 42, name: 'Test' } };
+    await cacheManager.save('/alldata/vehicle/42', data);
+
+    const entry = await cacheManager.loadEntry('/alldata/vehicle/42');
+    assert.deepEqual(entry.data, data);
+    assert.equal(entry.stale, false);
+
+    const result = await cacheManager.purge({ prefix: '/alldata/vehicle' });
+    assert.equal(result.success, true);
+    assert.equal(result.deletedCount, 1);
+    assert.equal(await cacheManager.loadEntry('/alldata/vehicle/42'), null);
+
+    const remaining = [];
+    for await (const item of storage.list()) {
+      remaining.push(item);
+    }
+    assert.deepEqual(remaining, []);
+  } finally {
+    await cacheManager.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
\ No newline at end of file